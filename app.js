@@ -1,3 +1,343 @@
+// Minimal in-browser ZIP writer (stored entries, no compression) used for batch exports
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    async addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string'
+            ? new TextEncoder().encode(data)
+            : new Uint8Array(await data.arrayBuffer());
+        
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            bytes,
+            crc: ZipWriter.crc32(bytes),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        });
+    }
+
+    toBlob() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        
+        this.entries.forEach(entry => {
+            // Local file header; bit 11 flags UTF-8 file names
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, entry.time, true);
+            header.setUint16(12, entry.date, true);
+            header.setUint32(14, entry.crc, true);
+            header.setUint32(18, entry.bytes.length, true);
+            header.setUint32(22, entry.bytes.length, true);
+            header.setUint16(26, entry.name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(header, entry.name, entry.bytes);
+            
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014B50, true);
+            record.setUint16(4, 20, true);
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, entry.time, true);
+            record.setUint16(14, entry.date, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.bytes.length, true);
+            record.setUint32(24, entry.bytes.length, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, offset, true);
+            central.push(record, entry.name);
+            
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+        
+        const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        
+        return new Blob([...parts, ...central, end], {type: 'application/zip'});
+    }
+}
+
+// Reads the photo metadata the app shows and uses from JPEG and PNG headers, and
+// writes copies of those files with the private parts removed
+class ImageMetadata {
+    static read(buffer) {
+        const metadata = {
+            orientation: 1,
+            capturedAt: null,
+            camera: null,
+            hasGps: false,
+            colorSpace: null,
+            hasIccProfile: false,
+            pixelWidth: null,
+            pixelHeight: null
+        };
+        
+        // Truncated or malformed headers keep whatever was read before the error
+        try {
+            const view = new DataView(buffer);
+            if (ImageMetadata.isJpeg(view)) {
+                ImageMetadata.readJpeg(view, metadata);
+            } else if (ImageMetadata.isPng(view)) {
+                ImageMetadata.readPng(view, metadata);
+            }
+        } catch (error) {
+            // Metadata is optional; the image loads either way
+        }
+        return metadata;
+    }
+
+    static isJpeg(view) {
+        return view.byteLength > 4 && view.getUint16(0) === 0xFFD8;
+    }
+
+    static isPng(view) {
+        return view.byteLength > 8 && view.getUint32(0) === 0x89504E47 && view.getUint32(4) === 0x0D0A1A0A;
+    }
+
+    static readAscii(view, offset, length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += String.fromCharCode(view.getUint8(offset + i));
+        }
+        return text;
+    }
+
+    // Calls visit(marker, start, length) for each segment up to the image data;
+    // start is the first byte after the length field
+    static forEachJpegSegment(view, visit) {
+        let offset = 2;
+        while (offset + 4 <= view.byteLength && view.getUint8(offset) === 0xFF) {
+            const marker = view.getUint8(offset + 1);
+            if (marker === 0xFF) {
+                offset++; // Fill byte
+                continue;
+            }
+            if (marker === 0xD9 || marker === 0xDA) return offset;
+            
+            const length = view.getUint16(offset + 2);
+            visit(marker, offset + 4, length - 2, offset);
+            offset += 2 + length;
+        }
+        return offset;
+    }
+
+    static readJpeg(view, metadata) {
+        ImageMetadata.forEachJpegSegment(view, (marker, start, length) => {
+            if (marker === 0xE1 && ImageMetadata.readAscii(view, start, 6) === 'Exif\0\0') {
+                ImageMetadata.readTiff(view, start + 6, metadata);
+            } else if (marker === 0xE2 && ImageMetadata.readAscii(view, start, 12) === 'ICC_PROFILE\0') {
+                metadata.hasIccProfile = true;
+            } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                // Start of frame: precision, height, width
+                metadata.pixelHeight = view.getUint16(start + 1);
+                metadata.pixelWidth = view.getUint16(start + 3);
+            }
+        });
+    }
+
+    // Calls visit(type, start, length) for each chunk; start is the first data byte
+    static forEachPngChunk(view, visit) {
+        let offset = 8;
+        while (offset + 12 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = ImageMetadata.readAscii(view, offset + 4, 4);
+            visit(type, offset + 8, length, offset);
+            if (type === 'IEND') break;
+            offset += 12 + length;
+        }
+    }
+
+    static readPng(view, metadata) {
+        ImageMetadata.forEachPngChunk(view, (type, start) => {
+            if (type === 'IHDR') {
+                metadata.pixelWidth = view.getUint32(start);
+                metadata.pixelHeight = view.getUint32(start + 4);
+            } else if (type === 'eXIf') {
+                ImageMetadata.readTiff(view, start, metadata);
+            } else if (type === 'iCCP') {
+                metadata.hasIccProfile = true;
+            } else if (type === 'sRGB') {
+                metadata.colorSpace = 'sRGB';
+            }
+        });
+    }
+
+    static readTiff(view, tiffStart, metadata) {
+        const little = view.getUint16(tiffStart) === 0x4949;
+        
+        // Tag number -> offset of its 12-byte directory entry
+        const readIfd = (ifdOffset) => {
+            const entries = new Map();
+            const start = tiffStart + ifdOffset;
+            const count = view.getUint16(start, little);
+            for (let i = 0; i < count; i++) {
+                const entry = start + 2 + i * 12;
+                entries.set(view.getUint16(entry, little), entry);
+            }
+            return entries;
+        };
+        const readShort = (entry) => view.getUint16(entry + 8, little);
+        const readLong = (entry) => view.getUint32(entry + 8, little);
+        const readString = (entry) => {
+            const count = view.getUint32(entry + 4, little);
+            const offset = count <= 4 ? entry + 8 : tiffStart + readLong(entry);
+            return ImageMetadata.readAscii(view, offset, count).replace(/\0+$/, '').trim();
+        };
+        
+        const ifd0 = readIfd(view.getUint32(tiffStart + 4, little));
+        if (ifd0.has(0x0112)) metadata.orientation = readShort(ifd0.get(0x0112));
+        
+        const make = ifd0.has(0x010F) ? readString(ifd0.get(0x010F)) : '';
+        const model = ifd0.has(0x0110) ? readString(ifd0.get(0x0110)) : '';
+        // Many models already start with the brand ("Canon EOS R5")
+        metadata.camera = (model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`).trim() || null;
+        
+        if (ifd0.has(0x8769)) {
+            const exif = readIfd(readLong(ifd0.get(0x8769)));
+            if (exif.has(0x9003)) {
+                // "YYYY:MM:DD HH:MM:SS" in the camera's local time
+                const match = readString(exif.get(0x9003)).match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+                if (match) metadata.capturedAt = `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+            }
+            if (exif.has(0xA001)) {
+                const colorSpace = readShort(exif.get(0xA001));
+                metadata.colorSpace = colorSpace === 1 ? 'sRGB' : colorSpace === 0xFFFF ? 'Uncalibrated' : null;
+            }
+        }
+        
+        // A GPS directory without a latitude carries no location
+        if (ifd0.has(0x8825)) {
+            metadata.hasGps = readIfd(readLong(ifd0.get(0x8825))).has(0x0002);
+        }
+    }
+
+    // EXIF block holding nothing but the orientation, so a stripped photo still
+    // displays upright
+    static createOrientationTiff(orientation) {
+        const view = new DataView(new ArrayBuffer(26));
+        view.setUint16(0, 0x4D4D); // Big-endian
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+        view.setUint16(8, 1);
+        view.setUint16(10, 0x0112);
+        view.setUint16(12, 3); // SHORT
+        view.setUint32(14, 1);
+        view.setUint16(18, orientation);
+        view.setUint32(22, 0);
+        return new Uint8Array(view.buffer);
+    }
+
+    // Copy of the file without EXIF (camera, capture date, GPS), XMP, IPTC and text
+    // comments. Colour profiles are kept, and so is the orientation. Other formats
+    // are returned unchanged.
+    static strip(buffer, orientation = 1) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const parts = [];
+        
+        if (ImageMetadata.isJpeg(view)) {
+            parts.push(bytes.subarray(0, 2));
+            if (orientation !== 1) {
+                const tiff = ImageMetadata.createOrientationTiff(orientation);
+                const header = new DataView(new ArrayBuffer(10));
+                header.setUint16(0, 0xFFE1);
+                header.setUint16(2, 2 + 6 + tiff.length);
+                new Uint8Array(header.buffer).set([0x45, 0x78, 0x69, 0x66, 0, 0], 4); // "Exif\0\0"
+                parts.push(new Uint8Array(header.buffer), tiff);
+            }
+            
+            // APP1 (EXIF, XMP), APP13 (IPTC) and COM segments are dropped
+            const end = ImageMetadata.forEachJpegSegment(view, (marker, start, length, offset) => {
+                if (marker !== 0xE1 && marker !== 0xED && marker !== 0xFE) {
+                    parts.push(bytes.subarray(offset, start + length));
+                }
+            });
+            parts.push(bytes.subarray(end));
+        } else if (ImageMetadata.isPng(view)) {
+            parts.push(bytes.subarray(0, 8));
+            ImageMetadata.forEachPngChunk(view, (type, start, length, offset) => {
+                if (type === 'eXIf' && orientation !== 1) {
+                    const data = new Uint8Array([...new TextEncoder().encode('eXIf'), ...ImageMetadata.createOrientationTiff(orientation)]);
+                    const chunk = new DataView(new ArrayBuffer(data.length + 8));
+                    chunk.setUint32(0, data.length - 4);
+                    new Uint8Array(chunk.buffer).set(data, 4);
+                    chunk.setUint32(data.length + 4, ZipWriter.crc32(data));
+                    parts.push(new Uint8Array(chunk.buffer));
+                } else if (!['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'].includes(type)) {
+                    parts.push(bytes.subarray(offset, start + length + 4));
+                }
+            });
+        } else {
+            return bytes;
+        }
+        
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+}
+
+// Portable project file (.wallpaper), a single UTF-8 JSON document:
+//
+//   {
+//     "format": "wallpaper-creator-project",
+//     "version": 2,
+//     "name": "My Wallpaper",
+//     "exportedAt": "2024-01-01T00:00:00.000Z",
+//     "project": {
+//       "canvasWidth", "canvasHeight", "currentLayout", "currentTemplateId",
+//       "background": { "type", "color", "stops": [ { "offset", "color" } ], "angle", "imageId", "fit", "blur" },
+//       "autoFitSettings": { ... },
+//       "elements": [ { "id", "type", "imageId", "x", "y", "width", "height", ... } ]
+//     },
+//     "images": {
+//       "<imageData.id>": { "name", "originalWidth", "originalHeight", "data": "data:<mime>;base64,..." }
+//     }
+//   }
+//
+// "data" holds the original file bytes, never a re-encoded render; EXIF, XMP and
+// text chunks are removed when "Strip photo metadata" is on. Bump
+// PROJECT_FILE_VERSION whenever the project model changes and register a step in
+// migrateProjectData() so files written by older versions keep loading.
+const PROJECT_FILE_FORMAT = 'wallpaper-creator-project';
+const PROJECT_FILE_EXTENSION = '.wallpaper';
+const PROJECT_FILE_VERSION = 2;
+
 // Enhanced Wallpaper Creator with Aspect Ratio Preservation and Natural Stacking
 class WallpaperCreator {
     constructor() {
@@ -5,20 +345,55 @@ class WallpaperCreator {
         this.ctx = this.canvas.getContext('2d');
         this.elements = [];
         this.selectedElement = null;
+        // Every selected canvas element; selectedElement is set only when there is exactly one
+        this.selectedElements = [];
         this.history = [];
         this.historyIndex = -1;
+        this.maxHistory = 50;
         this.zoom = 1;
         this.images = [];
         this.selectedImages = new Set();
         this.currentImageId = 0;
         this.isDragging = false;
-        this.dragOffset = { x: 0, y: 0 };
+        this.dragOrigin = null;
+        this.dragStart = null;
         this.isResizing = false;
         this.resizeHandle = null;
+        this.groupBox = null;
+        this.groupStart = null;
+        this.marquee = null;
+        // Snapping while dragging: the moving box, the lines it can snap to and the
+        // smart guides currently shown
+        this.dragBounds = null;
+        this.snapTargets = null;
+        this.guides = [];
         this.currentProject = null;
-        this.backgroundColor = '#ffffff';
+        // Set by every history change and cleared once a save, open or restore
+        // makes the auto-save draft redundant
+        this.hasUnsavedChanges = false;
+        this.background = this.createDefaultBackground();
         this.previewMode = false;
+        this.previewPositions = null;
+        this.previewRefreshPending = false;
+        this.previewRefreshQueued = false;
+        this.compareMode = false;
         this.currentLayout = null;
+        // Set while the canvas shows a template arrangement, which then wins over
+        // currentLayout when the elements are rebuilt for another size
+        this.currentTemplateId = null;
+        this.layoutWorker = null;
+        this.layoutWorkerUnavailable = false;
+        this.layoutJobs = new Map();
+        this.layoutJobCounter = 0;
+        this.imageLuminance = new WeakMap();
+        this.renderFrame = null;
+        
+        // Longest side of the working copies drawn on screen and in the gallery;
+        // exports decode the original file instead
+        this.proxyMaxSize = 2048;
+        this.thumbnailMaxSize = 256;
+        this.stripMetadata = localStorage.getItem('wallpaperCreatorStripMetadata') !== 'false';
+        this.snapSettings = this.loadSnapSettings();
         
         // Enhanced auto-fit settings with aspect ratio preservation
         this.autoFitSettings = {
@@ -26,12 +401,22 @@ class WallpaperCreator {
             margin: 20,
             maintainRatio: true, // Always true - never allow distortion
             fillCanvas: false,
+            cropToFill: false,
             allowStacking: true,
             minImageSize: 100,
             maxScaleDown: 0.3,
             stackDirection: 'auto',
             balanceComposition: true,
-            prioritizeLargeImages: false
+            prioritizeLargeImages: false,
+            // Organic Stack
+            organicSeed: 1,
+            rotationJitter: 6,
+            overlapAmount: 0.15,
+            maxCoveredPercent: 35,
+            polaroidFrames: false,
+            dropShadows: true,
+            // Styling applied to every placed element
+            collageStyle: 'none'
         };
         
         // Canvas settings
@@ -48,10 +433,14 @@ class WallpaperCreator {
             {name: "Ultra-wide", ratio: 3.5, tolerance: 1.0, group: "ultrawide"}
         ];
         
+        // Aspect ratio helpers shared with the layout worker
+        this.layoutEngine = new LayoutEngine({ aspectRatioCategories: this.aspectRatioCategories });
+        
         // Natural layout algorithms
         this.naturalLayoutAlgorithms = [
             {
                 name: "Natural Flow",
+                layout: "natural-flow",
                 type: "flow",
                 description: "Images flow naturally in rows, maintaining original proportions",
                 icon: "≋",
@@ -61,6 +450,7 @@ class WallpaperCreator {
             },
             {
                 name: "Masonry Stack",
+                layout: "masonry",
                 type: "masonry", 
                 description: "Pinterest-style columns with natural heights",
                 icon: "⌐",
@@ -70,6 +460,7 @@ class WallpaperCreator {
             },
             {
                 name: "Proportional Grid",
+                layout: "proportional-grid",
                 type: "adaptive_grid",
                 description: "Grid that adapts to image proportions", 
                 icon: "▦",
@@ -79,6 +470,7 @@ class WallpaperCreator {
             },
             {
                 name: "Aspect Grouped",
+                layout: "aspect-grouped",
                 type: "grouped",
                 description: "Group similar aspect ratios together",
                 icon: "⊞",
@@ -88,20 +480,77 @@ class WallpaperCreator {
             },
             {
                 name: "Organic Stack",
+                layout: "organic",
                 type: "organic",
                 description: "Natural photo-like stacking with slight overlaps",
                 icon: "◈",
                 preservesRatio: true,
                 allowsStacking: true,
                 algorithm: "organic_placement"
+            },
+            {
+                name: "Justified Rows",
+                layout: "justified",
+                type: "flow",
+                description: "Full-width rows that fill the canvas, like a photo gallery",
+                icon: "☰",
+                preservesRatio: true,
+                allowsStacking: false,
+                algorithm: "justified_rows"
+            },
+            {
+                name: "Dense Pack",
+                layout: "dense-pack",
+                type: "packed",
+                description: "Tightly packed collage that maximises canvas coverage",
+                icon: "▣",
+                preservesRatio: true,
+                allowsStacking: false,
+                algorithm: "maxrects_packing"
             }
         ];
         
+        // Non-destructive image adjustments; element.filters keeps only values that
+        // differ from the defaults
+        this.imageAdjustments = [
+            {key: 'brightness', label: 'Brightness', min: 0, max: 200, default: 100},
+            {key: 'contrast', label: 'Contrast', min: 0, max: 200, default: 100},
+            {key: 'saturation', label: 'Saturation', min: 0, max: 200, default: 100},
+            {key: 'hue', label: 'Hue', min: -180, max: 180, default: 0},
+            {key: 'temperature', label: 'Temperature', min: -100, max: 100, default: 0},
+            {key: 'grayscale', label: 'Grayscale', min: 0, max: 100, default: 0},
+            {key: 'sepia', label: 'Sepia', min: 0, max: 100, default: 0},
+            {key: 'blur', label: 'Blur', min: 0, max: 20, step: 0.5, default: 0},
+            {key: 'vignette', label: 'Vignette', min: 0, max: 100, default: 0}
+        ];
+        this.adjustedImageCache = new WeakMap();
+        
+        // Element styles are border-box: border and padding sit inside the element's
+        // rectangle, so layouts and hit-testing keep working on the same geometry
+        this.defaultElementStyle = {
+            shape: 'rect',
+            radius: 0,
+            borderWidth: 0,
+            borderColor: '#ffffff',
+            padding: 0,
+            paddingColor: '#ffffff'
+        };
+        
+        // Collage style presets, sized for a 1080 px short side and scaled to the canvas
+        this.collageStyles = [
+            {id: 'none', name: 'None'},
+            {id: 'white-border', name: 'White Border', style: {borderWidth: 8}, shadow: true},
+            {id: 'rounded', name: 'Rounded Cards', style: {radius: 24}, shadow: true},
+            {id: 'gallery-mat', name: 'Gallery Mat', style: {borderWidth: 3, borderColor: '#222222', padding: 18}, shadow: true},
+            {id: 'circles', name: 'Circles', style: {shape: 'circle', borderWidth: 5}},
+            {id: 'honeycomb', name: 'Honeycomb', style: {shape: 'hexagon'}}
+        ];
+        
         this.init();
         this.setupEventListeners();
         this.loadWallpaperSizes();
         this.loadGoogleFonts();
-        this.saveState();
+        this.saveState('Opened canvas');
     }
 
     init() {
@@ -131,6 +580,14 @@ class WallpaperCreator {
             imageUpload.addEventListener('change', this.handleImageUpload.bind(this));
         }
         
+        // Loading overlay cancel
+        const loadingCancelBtn = document.getElementById('loadingCancelBtn');
+        if (loadingCancelBtn) {
+            loadingCancelBtn.addEventListener('click', () => {
+                if (this.loadingCancelHandler) this.loadingCancelHandler();
+            });
+        }
+        
         // Selection controls
         const selectAllBtn = document.getElementById('selectAllBtn');
         const selectNoneBtn = document.getElementById('selectNoneBtn');
@@ -145,6 +602,9 @@ class WallpaperCreator {
         if (bulkDeleteBtn) bulkDeleteBtn.addEventListener('click', this.bulkDeleteImages.bind(this));
         if (bulkAddBtn) bulkAddBtn.addEventListener('click', this.bulkAddToCanvas.bind(this));
         
+        const bulkAdjustBtn = document.getElementById('bulkAdjustBtn');
+        if (bulkAdjustBtn) bulkAdjustBtn.addEventListener('click', this.showAdjustmentsModal.bind(this));
+        
         // Natural auto-fit controls
         const autoFitBtn = document.getElementById('autoFitBtn');
         const layoutPanelToggle = document.getElementById('layoutPanelToggle');
@@ -168,6 +628,7 @@ class WallpaperCreator {
                 document.querySelectorAll('.layout-algorithm').forEach(a => a.classList.remove('selected'));
                 algorithm.classList.add('selected');
                 this.currentLayout = algorithm.dataset.layout;
+                this.refreshLayoutPreview();
             });
         });
         
@@ -202,6 +663,7 @@ class WallpaperCreator {
         const maxScaleSlider = document.getElementById('maxScaleSlider');
         const balanceCompositionCheck = document.getElementById('balanceCompositionCheck');
         const prioritizeLargeImagesCheck = document.getElementById('prioritizeLargeImagesCheck');
+        const fillCanvasCheck = document.getElementById('fillCanvasCheck');
         
         if (spacingSlider) {
             spacingSlider.addEventListener('input', (e) => {
@@ -239,11 +701,83 @@ class WallpaperCreator {
             });
         }
         
+        if (fillCanvasCheck) {
+            fillCanvasCheck.addEventListener('change', (e) => {
+                this.autoFitSettings.fillCanvas = e.target.checked;
+            });
+        }
+        
+        const cropToFillCheck = document.getElementById('cropToFillCheck');
+        if (cropToFillCheck) {
+            cropToFillCheck.addEventListener('change', (e) => {
+                this.autoFitSettings.cropToFill = e.target.checked;
+            });
+        }
+        
+        const collageStyleSelect = document.getElementById('collageStyleSelect');
+        if (collageStyleSelect) {
+            this.collageStyles.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                collageStyleSelect.appendChild(option);
+            });
+            collageStyleSelect.addEventListener('change', (e) => {
+                this.autoFitSettings.collageStyle = e.target.value;
+            });
+        }
+        
+        // Organic Stack settings
+        const organicSeedInput = document.getElementById('organicSeedInput');
+        const reshuffleBtn = document.getElementById('reshuffleBtn');
+        const organicSliders = [
+            ['rotationJitterSlider', 'rotationJitter', 'rotationJitterValue', value => value + '°'],
+            ['overlapSlider', 'overlapAmount', 'overlapValue', value => Math.round(value * 100) + '%'],
+            ['maxCoveredSlider', 'maxCoveredPercent', 'maxCoveredValue', value => value + '%']
+        ];
+        
+        if (organicSeedInput) {
+            organicSeedInput.addEventListener('change', (e) => {
+                this.autoFitSettings.organicSeed = Math.max(0, parseInt(e.target.value) || 0);
+                e.target.value = this.autoFitSettings.organicSeed;
+            });
+        }
+        if (reshuffleBtn) reshuffleBtn.addEventListener('click', this.reshuffleOrganicLayout.bind(this));
+        
+        organicSliders.forEach(([id, setting, labelId, format]) => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', (e) => {
+                    this.autoFitSettings[setting] = parseFloat(e.target.value);
+                    const valueSpan = document.getElementById(labelId);
+                    if (valueSpan) valueSpan.textContent = format(e.target.value);
+                });
+            }
+        });
+        
+        [['polaroidFramesCheck', 'polaroidFrames'], ['dropShadowsCheck', 'dropShadows']].forEach(([id, setting]) => {
+            const check = document.getElementById(id);
+            if (check) {
+                check.addEventListener('change', (e) => {
+                    this.autoFitSettings[setting] = e.target.checked;
+                });
+            }
+        });
+        
+        // Any layout setting change refreshes the live preview and comparison
+        [document.querySelector('#advancedAutoFitPanel .advanced-settings'), allowStackingCheck && allowStackingCheck.closest('.sidebar__section')].forEach(container => {
+            if (!container) return;
+            container.addEventListener('input', () => this.refreshLayoutPreview());
+            container.addEventListener('change', () => this.refreshLayoutPreview());
+        });
+        
         // Advanced auto-fit actions
         const previewLayoutBtn = document.getElementById('previewLayoutBtn');
+        const compareLayoutsBtn = document.getElementById('compareLayoutsBtn');
         const applyAdvancedLayoutBtn = document.getElementById('applyAdvancedLayoutBtn');
         
         if (previewLayoutBtn) previewLayoutBtn.addEventListener('click', this.previewNaturalLayout.bind(this));
+        if (compareLayoutsBtn) compareLayoutsBtn.addEventListener('click', this.toggleLayoutComparison.bind(this));
         if (applyAdvancedLayoutBtn) applyAdvancedLayoutBtn.addEventListener('click', this.applyAdvancedNaturalLayout.bind(this));
         
         // Drag and drop
@@ -273,6 +807,8 @@ class WallpaperCreator {
         const fitToScreenBtn = document.getElementById('fitToScreenBtn');
         
         if (canvasSizeSelect) canvasSizeSelect.addEventListener('change', this.changeCanvasSize.bind(this));
+        this.setupCanvasSizeControls();
+        this.setupSnapControls();
         if (zoomInBtn) zoomInBtn.addEventListener('click', () => this.setZoom(this.zoom * 1.2));
         if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => this.setZoom(this.zoom / 1.2));
         if (fitToScreenBtn) fitToScreenBtn.addEventListener('click', this.fitToScreen.bind(this));
@@ -281,8 +817,11 @@ class WallpaperCreator {
         const saveProjectBtn = document.getElementById('saveProjectBtn');
         const loadProjectBtn = document.getElementById('loadProjectBtn');
         
+        const exportProjectBtn = document.getElementById('exportProjectBtn');
+        
         if (saveProjectBtn) saveProjectBtn.addEventListener('click', this.showSaveProjectModal.bind(this));
         if (loadProjectBtn) loadProjectBtn.addEventListener('click', this.showProjectsModal.bind(this));
+        if (exportProjectBtn) exportProjectBtn.addEventListener('click', this.showExportProjectModal.bind(this));
         
         // Export
         const exportBtn = document.getElementById('exportBtn');
@@ -293,6 +832,7 @@ class WallpaperCreator {
         this.canvas.addEventListener('mousemove', this.handleCanvasMouseMove.bind(this));
         this.canvas.addEventListener('mouseup', this.handleCanvasMouseUp.bind(this));
         this.canvas.addEventListener('click', this.handleCanvasClick.bind(this));
+        this.canvas.addEventListener('dblclick', this.handleCanvasDoubleClick.bind(this));
         
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyDown.bind(this));
@@ -302,7 +842,7 @@ class WallpaperCreator {
         
         // Auto-save
         setInterval(() => {
-            if (this.elements.length > 0) {
+            if (this.elements.length > 0 && this.hasUnsavedChanges) {
                 this.autoSave();
             }
         }, 30000);
@@ -310,326 +850,206 @@ class WallpaperCreator {
 
     // ===== ASPECT RATIO PRESERVATION METHODS =====
 
+    // The layout engine owns the ratio rules so the page and the worker agree
     calculateAspectRatio(image) {
-        return image.originalWidth / image.originalHeight;
+        return this.layoutEngine.calculateAspectRatio(image);
     }
 
     categorizeByAspectRatio(image) {
-        const ratio = this.calculateAspectRatio(image);
-        
-        for (const category of this.aspectRatioCategories) {
-            if (Math.abs(ratio - category.ratio) <= category.tolerance) {
-                return category;
-            }
-        }
-        
-        // Default fallback
-        if (ratio > 1) return {name: "Landscape", group: "landscape"};
-        return {name: "Portrait", group: "portrait"};
+        return this.layoutEngine.categorizeByAspectRatio(image);
     }
 
     groupImagesByAspectRatio(images) {
-        const groups = {};
-        
-        images.forEach(image => {
-            const category = this.categorizeByAspectRatio(image);
-            if (!groups[category.group]) {
-                groups[category.group] = [];
-            }
-            groups[category.group].push(image);
-        });
-        
-        return groups;
+        return this.layoutEngine.groupImagesByAspectRatio(images);
     }
 
-    validateAspectRatioPreservation(originalImage, proposedDimensions) {
+    // Crop to fill boxes may differ from the image's ratio because they draw a
+    // matching window of the source; any other mismatch would stretch the pixels
+    validateAspectRatioPreservation(originalImage, proposedDimensions, fit) {
+        return this.getAspectRatioStatus(originalImage, proposedDimensions, fit) !== 'stretched';
+    }
+
+    // 'preserved', 'cropped' or 'stretched'
+    getAspectRatioStatus(originalImage, proposedDimensions, fit) {
         const originalRatio = this.calculateAspectRatio(originalImage);
         const proposedRatio = proposedDimensions.width / proposedDimensions.height;
         const tolerance = 0.01; // Very strict tolerance
         
-        return Math.abs(originalRatio - proposedRatio) <= tolerance;
+        if (Math.abs(originalRatio - proposedRatio) <= tolerance) return 'preserved';
+        return fit === 'crop' ? 'cropped' : 'stretched';
     }
 
-    scaleImagePreservingRatio(originalImage, maxWidth, maxHeight) {
-        const aspectRatio = this.calculateAspectRatio(originalImage);
-        
-        let width = maxWidth;
-        let height = maxHeight;
+    // ===== LAYOUT WORKER =====
+
+    // Layouts run in layout-worker.js on plain records. Luminance is sampled
+    // here because the worker cannot read the pixels of page images.
+    createLayoutRecords(images) {
+        const balance = this.autoFitSettings.balanceComposition;
+        return images.map(image => ({
+            id: image.id,
+            originalWidth: image.originalWidth,
+            originalHeight: image.originalHeight,
+            luminance: balance ? this.getImageLuminance(image) : 0.5
+        }));
+    }
+
+    getLayoutWorker() {
+        if (this.layoutWorker || this.layoutWorkerUnavailable) return this.layoutWorker;
         
-        if (maxWidth / maxHeight > aspectRatio) {
-            // Constrain by height
-            width = maxHeight * aspectRatio;
-        } else {
-            // Constrain by width
-            height = maxWidth / aspectRatio;
+        try {
+            this.layoutWorker = new Worker('layout-worker.js');
+            this.layoutWorker.onmessage = this.handleLayoutWorkerMessage.bind(this);
+            this.layoutWorker.onerror = (e) => {
+                e.preventDefault();
+                this.handleLayoutWorkerFailure();
+            };
+        } catch (error) {
+            // Pages opened from file:// cannot start workers, so layouts run inline instead
+            this.handleLayoutWorkerFailure();
         }
+        return this.layoutWorker;
+    }
+
+    handleLayoutWorkerFailure() {
+        if (this.layoutWorker) this.layoutWorker.terminate();
+        this.layoutWorker = null;
+        this.layoutWorkerUnavailable = true;
+        
+        // Anything already queued is finished inline
+        const pending = Array.from(this.layoutJobs.values());
+        this.layoutJobs.clear();
+        pending.forEach(job => this.runLayoutJobInline(job));
+    }
+
+    // Resolves with { positions, report }; positions reference the real imageData objects
+    runLayoutJob(layoutType, images, { width = this.canvasWidth, height = this.canvasHeight, onProgress = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: ++this.layoutJobCounter,
+                request: {
+                    layoutType,
+                    images: this.createLayoutRecords(images),
+                    canvasWidth: width,
+                    canvasHeight: height,
+                    autoFitSettings: { ...this.autoFitSettings },
+                    aspectRatioCategories: this.aspectRatioCategories
+                },
+                imagesById: new Map(images.map(image => [image.id, image])),
+                onProgress,
+                resolve,
+                reject
+            };
         
-        // Ensure minimum size
-        const minSize = this.autoFitSettings.minImageSize;
-        if (width < minSize || height < minSize) {
-            if (width < height) {
-                width = minSize;
-                height = minSize / aspectRatio;
+            const worker = this.getLayoutWorker();
+            if (worker) {
+                this.layoutJobs.set(job.id, job);
+                worker.postMessage({ jobId: job.id, ...job.request });
             } else {
-                height = minSize;
-                width = minSize * aspectRatio;
+                this.runLayoutJobInline(job);
             }
+        });
+    }
+
+    runLayoutJobInline(job) {
+        try {
+            const engine = new LayoutEngine({ ...job.request, onProgress: job.onProgress });
+            const positions = engine.computeLayoutPositions(job.request.layoutType, job.request.images);
+            this.resolveLayoutJob(job, positions.map(({ imageData, ...pos }) => ({ ...pos, id: imageData.id })), engine.lastFitReport);
+        } catch (error) {
+            job.reject(error);
         }
-        
-        return { width, height };
     }
 
-    // ===== NATURAL LAYOUT ALGORITHMS =====
+    resolveLayoutJob(job, positions, report) {
+        job.resolve({
+            positions: positions.map(({ id, ...pos }) => ({ ...pos, imageData: job.imagesById.get(id) })),
+            report
+        });
+    }
 
-    applyNaturalFlowLayout(images) {
-        const positions = [];
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        const availableWidth = this.canvasWidth - 2 * margin;
-        
-        let currentRowY = margin;
-        let currentRowX = margin;
-        let currentRowHeight = 0;
-        let rowImages = [];
-        
-        // Sort images by priority if enabled
-        const sortedImages = this.autoFitSettings.prioritizeLargeImages 
-            ? [...images].sort((a, b) => (b.originalWidth * b.originalHeight) - (a.originalWidth * a.originalHeight))
-            : images;
-        
-        for (let i = 0; i < sortedImages.length; i++) {
-            const image = sortedImages[i];
-            const aspectRatio = this.calculateAspectRatio(image);
-            
-            // Calculate natural size for this row
-            let imageWidth = Math.min(image.originalWidth, availableWidth * 0.3);
-            let imageHeight = imageWidth / aspectRatio;
-            
-            // Check if image fits in current row
-            if (currentRowX + imageWidth > availableWidth + margin && rowImages.length > 0) {
-                // Finalize current row with balanced sizing
-                this.finalizeNaturalRow(rowImages, currentRowY, availableWidth, positions);
-                
-                // Start new row
-                currentRowY += currentRowHeight + spacing;
-                currentRowX = margin;
-                currentRowHeight = 0;
-                rowImages = [];
-            }
-            
-            // Add image to current row
-            rowImages.push({
-                image,
-                aspectRatio,
-                naturalWidth: imageWidth,
-                naturalHeight: imageHeight,
-                x: currentRowX,
-                y: currentRowY
-            });
-            
-            currentRowX += imageWidth + spacing;
-            currentRowHeight = Math.max(currentRowHeight, imageHeight);
-        }
-        
-        // Finalize last row
-        if (rowImages.length > 0) {
-            this.finalizeNaturalRow(rowImages, currentRowY, availableWidth, positions);
+    handleLayoutWorkerMessage(e) {
+        const { jobId, type } = e.data;
+        const job = this.layoutJobs.get(jobId);
+        if (!job) return; // Cancelled
+        
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(e.data.progress, e.data.message);
+        } else if (type === 'result') {
+            this.layoutJobs.delete(jobId);
+            this.resolveLayoutJob(job, e.data.positions, e.data.report);
+        } else if (type === 'error') {
+            this.layoutJobs.delete(jobId);
+            job.reject(new Error(e.data.message));
         }
-        
-        return positions;
     }
 
-    finalizeNaturalRow(rowImages, rowY, availableWidth, positions) {
-        if (rowImages.length === 0) return;
-        
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        
-        // Calculate total natural width
-        const totalNaturalWidth = rowImages.reduce((sum, item) => sum + item.naturalWidth, 0);
-        const totalSpacing = (rowImages.length - 1) * spacing;
-        const availableImageWidth = availableWidth - totalSpacing;
-        
-        // Scale factor to fit row
-        const scaleFactor = Math.min(1, availableImageWidth / totalNaturalWidth);
-        
-        // Ensure we don't scale down too much
-        const maxScaleDown = this.autoFitSettings.maxScaleDown;
-        const finalScaleFactor = Math.max(maxScaleDown, scaleFactor);
-        
-        let currentX = margin;
+    // Layout code runs synchronously inside the worker, so cancelling means
+    // terminating it; the next job starts a fresh worker
+    cancelLayoutJobs() {
+        if (this.layoutWorker) {
+            this.layoutWorker.terminate();
+            this.layoutWorker = null;
+        }
         
-        rowImages.forEach(item => {
-            const finalWidth = item.naturalWidth * finalScaleFactor;
-            const finalHeight = item.naturalHeight * finalScaleFactor;
-            
-            positions.push({
-                imageData: item.image,
-                x: currentX,
-                y: rowY,
-                width: Math.max(this.autoFitSettings.minImageSize, finalWidth),
-                height: Math.max(this.autoFitSettings.minImageSize, finalHeight)
-            });
-            
-            currentX += finalWidth + spacing;
+        this.layoutJobs.forEach(job => {
+            const error = new Error('Layout cancelled');
+            error.cancelled = true;
+            job.reject(error);
         });
+        this.layoutJobs.clear();
     }
 
-    applyMasonryLayout(images) {
-        const positions = [];
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        const availableWidth = this.canvasWidth - 2 * margin;
-        
-        // Calculate number of columns based on image count and canvas width
-        const columnCount = Math.max(2, Math.min(5, Math.ceil(Math.sqrt(images.length))));
-        const columnWidth = (availableWidth - (columnCount - 1) * spacing) / columnCount;
-        
-        // Initialize column heights
-        const columnHeights = new Array(columnCount).fill(margin);
-        
-        // Sort images by area if prioritizing large images
-        const sortedImages = this.autoFitSettings.prioritizeLargeImages 
-            ? [...images].sort((a, b) => (b.originalWidth * b.originalHeight) - (a.originalWidth * a.originalHeight))
-            : images;
-        
-        sortedImages.forEach(image => {
-            // Find shortest column
-            let shortestColumn = 0;
-            let shortestHeight = columnHeights[0];
-            
-            for (let i = 1; i < columnCount; i++) {
-                if (columnHeights[i] < shortestHeight) {
-                    shortestHeight = columnHeights[i];
-                    shortestColumn = i;
+    // Average relative luminance from a tiny downscaled copy, cached per image
+    getImageLuminance(imageData) {
+        if (this.imageLuminance.has(imageData)) return this.imageLuminance.get(imageData);
+        
+        let luminance = 0.5;
+        if (imageData.img) {
+            try {
+                const canvas = document.createElement('canvas');
+                canvas.width = 8;
+                canvas.height = 8;
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(imageData.img, 0, 0, 8, 8);
+                const pixels = ctx.getImageData(0, 0, 8, 8).data;
+        
+                let total = 0;
+                for (let i = 0; i < pixels.length; i += 4) {
+                    total += 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
                 }
+                luminance = total / (pixels.length / 4) / 255;
+            } catch (error) {
+                // Unreadable pixels count as mid grey
             }
-            
-            // Calculate image dimensions preserving aspect ratio
-            const scaledDimensions = this.scaleImagePreservingRatio(image, columnWidth, columnWidth * 2);
-            
-            const x = margin + shortestColumn * (columnWidth + spacing);
-            const y = columnHeights[shortestColumn];
-            
-            positions.push({
-                imageData: image,
-                x: x,
-                y: y,
-                width: scaledDimensions.width,
-                height: scaledDimensions.height
-            });
-            
-            // Update column height
-            columnHeights[shortestColumn] += scaledDimensions.height + spacing;
-        });
-        
-        return positions;
-    }
-
-    applyProportionalGridLayout(images) {
-        const positions = [];
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        const availableWidth = this.canvasWidth - 2 * margin;
-        const availableHeight = this.canvasHeight - 2 * margin;
-        
-        // Calculate optimal grid dimensions
-        const imageCount = images.length;
-        const cols = Math.ceil(Math.sqrt(imageCount));
-        const rows = Math.ceil(imageCount / cols);
-        
-        // Create adaptive grid cells
-        const baseGridWidth = (availableWidth - (cols - 1) * spacing) / cols;
-        const baseGridHeight = (availableHeight - (rows - 1) * spacing) / rows;
-        
-        for (let i = 0; i < images.length; i++) {
-            const image = images[i];
-            const row = Math.floor(i / cols);
-            const col = i % cols;
-            
-            // Calculate grid position
-            const gridX = margin + col * (baseGridWidth + spacing);
-            const gridY = margin + row * (baseGridHeight + spacing);
-            
-            // Scale image to fit grid cell while preserving aspect ratio
-            const scaledDimensions = this.scaleImagePreservingRatio(image, baseGridWidth, baseGridHeight);
-            
-            // Center image in grid cell
-            const x = gridX + (baseGridWidth - scaledDimensions.width) / 2;
-            const y = gridY + (baseGridHeight - scaledDimensions.height) / 2;
-            
-            positions.push({
-                imageData: image,
-                x: x,
-                y: y,
-                width: scaledDimensions.width,
-                height: scaledDimensions.height
-            });
         }
         
-        return positions;
+        this.imageLuminance.set(imageData, luminance);
+        return luminance;
     }
 
-    applyAspectGroupedLayout(images) {
-        const positions = [];
-        const groups = this.groupImagesByAspectRatio(images);
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        
-        let currentY = margin;
-        
-        // Process each aspect ratio group
-        Object.keys(groups).forEach(groupName => {
-            const groupImages = groups[groupName];
-            
-            // Apply natural flow layout to each group
-            const groupPositions = this.applyNaturalFlowLayout(groupImages);
-            
-            // Offset positions for this group
-            const minY = Math.min(...groupPositions.map(pos => pos.y));
-            const maxY = Math.max(...groupPositions.map(pos => pos.y + pos.height));
-            const groupHeight = maxY - minY;
-            
-            groupPositions.forEach(pos => {
-                positions.push({
-                    ...pos,
-                    y: pos.y - minY + currentY
-                });
-            });
-            
-            currentY += groupHeight + spacing * 2; // Extra spacing between groups
-        });
+    reportLayoutFit(layoutName, report) {
+        if (report.undersized > 0) {
+            this.showToast(`${report.undersized} image(s) had to shrink below the ${this.autoFitSettings.minImageSize}px minimum size to fit - select fewer images or lower the minimum`, 'warning');
+        }
+        if (report.worstCovered > this.autoFitSettings.maxCoveredPercent) {
+            this.showToast(`One photo is still ${Math.round(report.worstCovered)}% covered, above the ${this.autoFitSettings.maxCoveredPercent}% limit - lower the overlap or select fewer images`, 'warning');
+        }
         
-        return positions;
+        const wastedPercent = Math.max(0, 100 - report.coverage);
+        this.showToast(`Applied ${layoutName} layout - ${report.coverage.toFixed(0)}% coverage, ${wastedPercent.toFixed(0)}% unused. All aspect ratios preserved!`, 'success');
     }
 
-    applyOrganicStackLayout(images) {
-        const positions = [];
-        const margin = this.autoFitSettings.margin;
-        const spacing = this.autoFitSettings.spacing;
-        
-        // Start with masonry as base, then add organic positioning
-        const masonryPositions = this.applyMasonryLayout(images);
-        
-        // Apply organic variations
-        masonryPositions.forEach((pos, index) => {
-            let finalPos = { ...pos };
-            
-            if (this.autoFitSettings.allowStacking && index > 0) {
-                // Add slight random offset for organic feel
-                const maxOffset = spacing * 0.5;
-                finalPos.x += (Math.random() - 0.5) * maxOffset;
-                finalPos.y += (Math.random() - 0.5) * maxOffset;
-                
-                // Ensure we don't go outside canvas bounds
-                finalPos.x = Math.max(margin, Math.min(finalPos.x, this.canvasWidth - finalPos.width - margin));
-                finalPos.y = Math.max(margin, Math.min(finalPos.y, this.canvasHeight - finalPos.height - margin));
-            }
-            
-            positions.push(finalPos);
-        });
+    reshuffleOrganicLayout() {
+        this.autoFitSettings.organicSeed = Math.floor(Math.random() * 1000000);
+        this.syncSettingsControls();
         
-        return positions;
+        if (this.previewMode || this.compareMode) {
+            this.refreshLayoutPreview();
+        } else if (this.currentLayout === 'organic' && this.selectedImages.size > 0) {
+            this.applyNaturalAutoFitLayout();
+        } else {
+            this.showToast(`New organic seed: ${this.autoFitSettings.organicSeed}`, 'info');
+        }
     }
 
     // ===== USER INTERFACE METHODS =====
@@ -719,9 +1139,10 @@ class WallpaperCreator {
                     const aspectRatio = this.calculateAspectRatio(imageData);
                     const category = this.categorizeByAspectRatio(imageData);
                     
-                    // Update aspect ratio display
+                    // Update aspect ratio display and the file info tooltip
                     thumbnail.setAttribute('data-aspect-ratio', 
                         `${category.name} (${aspectRatio.toFixed(2)})`);
+                    thumbnail.title = this.getImageInfoText(imageData);
                     
                     if (this.selectedImages.has(imageData.id)) {
                         thumbnail.classList.add('selected');
@@ -753,6 +1174,7 @@ class WallpaperCreator {
         if (panel) {
             panel.classList.add('hidden');
         }
+        if (this.compareMode) this.toggleLayoutComparison();
         this.exitPreviewMode();
     }
 
@@ -780,62 +1202,62 @@ class WallpaperCreator {
         const targetBtn = document.querySelector(`[data-layout="${layoutType}"]`);
         if (targetBtn) targetBtn.classList.add('active');
 
-        this.showLoadingOverlay('Calculating natural layout while preserving aspect ratios...');
-        
-        setTimeout(() => {
-            this.currentLayout = layoutType;
-            this.applyNaturalAutoFitLayout();
-            this.hideLoadingOverlay();
-        }, 800);
+        this.currentLayout = layoutType;
+        this.applyNaturalAutoFitLayout();
     }
 
-    applyNaturalAutoFitLayout() {
-        if (!this.currentLayout || this.selectedImages.size === 0) return;
-
+    // Resolves to true when a layout was applied, false when it failed or was cancelled
+    async applyNaturalAutoFitLayout() {
+        if (!this.currentLayout || this.selectedImages.size === 0) return false;
+        
+        const layoutType = this.currentLayout;
         const selectedImageData = this.images.filter(img => this.selectedImages.has(img.id));
-        let positions = [];
-
-        // Apply the appropriate natural layout algorithm
-        switch (this.currentLayout) {
-            case 'natural-flow':
-                positions = this.applyNaturalFlowLayout(selectedImageData);
-                break;
-            case 'masonry':
-                positions = this.applyMasonryLayout(selectedImageData);
-                break;
-            case 'proportional-grid':
-                positions = this.applyProportionalGridLayout(selectedImageData);
-                break;
-            case 'aspect-grouped':
-                positions = this.applyAspectGroupedLayout(selectedImageData);
-                break;
-            case 'organic':
-                positions = this.applyOrganicStackLayout(selectedImageData);
-                break;
-            default:
-                positions = this.applyNaturalFlowLayout(selectedImageData);
+        const onProgress = (progress, message) => this.updateLoadingProgress(progress, message);
+        this.showLoadingOverlay('Calculating natural layout while preserving aspect ratios...', () => this.cancelLayoutJobs());
+        
+        try {
+            let { positions, report } = await this.runLayoutJob(layoutType, selectedImageData, { onProgress });
+        
+            if (this.validatePositions(positions)) {
+                this.applyPositionsToCanvas(positions);
+                this.reportLayoutFit(this.getLayoutName(layoutType), report);
+            } else {
+                this.showToast('Layout failed aspect ratio validation - trying alternative approach', 'warning');
+                // Fallback to most conservative layout
+                ({ positions } = await this.runLayoutJob('proportional-grid', selectedImageData, { onProgress }));
+                this.applyPositionsToCanvas(positions);
+            }
+            return true;
+        } catch (error) {
+            if (error.cancelled) {
+                this.showToast('Layout cancelled', 'info');
+            } else {
+                this.showToast('Layout failed: ' + error.message, 'error');
+            }
+            return false;
+        } finally {
+            this.hideLoadingOverlay();
         }
+    }
 
-        // Validate that all aspect ratios are preserved
-        const validationResults = positions.map(pos => {
+    // Validate that all aspect ratios are preserved
+    validatePositions(positions) {
+        return positions.every(pos => {
             return this.validateAspectRatioPreservation(pos.imageData, {
                 width: pos.width,
                 height: pos.height
-            });
+            }, pos.fit);
         });
-
-        if (validationResults.every(result => result)) {
-            this.applyPositionsToCanvas(positions);
-            this.showToast(`Applied ${this.currentLayout} layout - All aspect ratios preserved!`, 'success');
-        } else {
-            this.showToast('Layout failed aspect ratio validation - trying alternative approach', 'warning');
-            // Fallback to most conservative layout
-            positions = this.applyProportionalGridLayout(selectedImageData);
-            this.applyPositionsToCanvas(positions);
-        }
     }
 
-    applyPositionsToCanvas(positions) {
+    applyPositionsToCanvas(positions, historyLabel) {
+        this.currentTemplateId = null;
+        
+        // Adjustments belong to the photo, so they survive a new arrangement
+        const filtersByImage = new Map(this.getSelectedImageElements()
+            .filter(el => el.filters)
+            .map(el => [el.imageId, el.filters]));
+        
         // Remove existing elements for selected images
         this.elements = this.elements.filter(el => 
             el.type !== 'image' || !this.selectedImages.has(el.imageId)
@@ -843,25 +1265,43 @@ class WallpaperCreator {
         
         // Add new positioned elements with stacking support
         positions.forEach((pos, index) => {
-            const element = {
-                id: Date.now() + index,
-                type: 'image',
-                imageId: pos.imageData.id,
-                x: pos.x,
-                y: pos.y,
-                width: pos.width,
-                height: pos.height,
-                rotation: 0,
-                opacity: 1,
-                imageData: pos.imageData,
-                zIndex: this.autoFitSettings.allowStacking ? index : 0
-            };
-            
+            const element = this.createElementFromPosition(pos, index);
+            if (filtersByImage.has(element.imageId)) element.filters = { ...filtersByImage.get(element.imageId) };
             this.elements.push(element);
         });
         
+        this.pruneSelection();
         this.render();
-        this.saveState();
+        this.saveState(historyLabel || `Applied ${this.getLayoutName(this.currentLayout).toLowerCase()} layout`);
+    }
+
+    createElementFromPosition(pos, index) {
+        const element = {
+            id: Date.now() + index,
+            type: 'image',
+            imageId: pos.imageData.id,
+            x: pos.x,
+            y: pos.y,
+            width: pos.width,
+            height: pos.height,
+            rotation: 0,
+            opacity: 1,
+            imageData: pos.imageData,
+            zIndex: this.autoFitSettings.allowStacking ? index : 0
+        };
+        
+        // Layouts such as Organic Stack also decide rotation and photo styling
+        if (pos.rotation) element.rotation = pos.rotation;
+        if (pos.frame) element.frame = pos.frame;
+        if (pos.shadow) element.shadow = pos.shadow;
+        if (pos.fit) element.fit = pos.fit;
+        this.applyCollageStyle(element);
+        return element;
+    }
+
+    getLayoutName(layoutType) {
+        const algorithm = this.naturalLayoutAlgorithms.find(a => a.layout === layoutType);
+        return algorithm ? algorithm.name : 'Natural Flow';
     }
 
     // ===== PREVIEW FUNCTIONALITY =====
@@ -873,33 +1313,156 @@ class WallpaperCreator {
         }
         
         this.previewMode = true;
-        this.showLoadingOverlay('Generating aspect-ratio-preserving preview...');
-        
-        setTimeout(() => {
-            this.hideLoadingOverlay();
-            this.showToast('Preview mode active - aspect ratios guaranteed preserved', 'info');
-        }, 500);
+        this.refreshLayoutPreview();
+        this.showToast(`Previewing ${this.getLayoutName(this.currentLayout)} - adjust the settings, then apply`, 'info');
     }
 
     exitPreviewMode() {
         this.previewMode = false;
+        this.previewPositions = null;
         this.render();
     }
 
-    applyAdvancedNaturalLayout() {
+    // Candidate positions are drawn as a ghost over the canvas; this.elements is untouched
+    async updateLayoutPreview() {
         if (!this.currentLayout || this.selectedImages.size === 0) {
-            this.showToast('Please select a layout and images first', 'warning');
+            this.exitPreviewMode();
             return;
         }
         
-        this.showLoadingOverlay('Applying natural layout with full aspect ratio protection...');
+        const selectedImageData = this.images.filter(img => this.selectedImages.has(img.id));
+        const { positions } = await this.runLayoutJob(this.currentLayout, selectedImageData);
         
-        setTimeout(() => {
-            this.applyNaturalAutoFitLayout();
+        // The preview may have been closed while the worker was busy
+        if (!this.previewMode) return;
+        this.previewPositions = positions;
+        this.render();
+    }
+
+    // Slider drags fire many events. One refresh runs at a time and changes made
+    // meanwhile are folded into a single follow-up, so the latest settings always win.
+    refreshLayoutPreview() {
+        if (!this.previewMode && !this.compareMode) return;
+        if (this.previewRefreshPending) {
+            this.previewRefreshQueued = true;
+            return;
+        }
+        
+        this.previewRefreshPending = true;
+        requestAnimationFrame(async () => {
+            try {
+                if (this.previewMode) await this.updateLayoutPreview();
+                if (this.compareMode) await this.renderLayoutComparisons();
+            } catch (error) {
+                if (!error.cancelled) this.showToast('Layout preview failed: ' + error.message, 'error');
+            }
+        
+            this.previewRefreshPending = false;
+            if (this.previewRefreshQueued) {
+                this.previewRefreshQueued = false;
+                this.refreshLayoutPreview();
+            }
+        });
+    }
+
+    renderLayoutPreview(ctx = this.ctx) {
+        const pixel = 1 / this.zoom;
+        
+        // Wash out the current composition so the candidate reads clearly on top
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+        ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
+        ctx.restore();
+        
+        this.previewPositions.forEach((pos, index) => {
+            const element = { ...this.createElementFromPosition(pos, index), opacity: 0.8 };
+            const center = this.getElementCenter(element);
+            this.renderElement(element, ctx);
+        
+            ctx.save();
+            ctx.translate(center.x, center.y);
+            ctx.rotate(element.rotation * Math.PI / 180);
+            ctx.strokeStyle = '#1FB8CD';
+            ctx.lineWidth = 2 * pixel;
+            ctx.setLineDash([6 * pixel, 4 * pixel]);
+            ctx.strokeRect(-element.width / 2, -element.height / 2, element.width, element.height);
+            ctx.restore();
+        });
+    }
+
+    toggleLayoutComparison() {
+        if (!this.compareMode && this.selectedImages.size === 0) {
+            this.showToast('Please select images first', 'warning');
+            return;
+        }
+        
+        this.compareMode = !this.compareMode;
+        const compareBtn = document.getElementById('compareLayoutsBtn');
+        if (compareBtn) compareBtn.classList.toggle('active', this.compareMode);
+        
+        if (this.compareMode) {
+            this.refreshLayoutPreview();
+        } else {
+            this.clearLayoutComparisons();
+        }
+    }
+
+    // Thumbnail of every algorithm with the current settings, drawn into its card
+    async renderLayoutComparisons() {
+        const grid = document.querySelector('.layout-algorithm-grid');
+        if (!grid) return;
+        
+        const selectedImageData = this.images.filter(img => this.selectedImages.has(img.id));
+        const thumbWidth = 240;
+        const thumbHeight = Math.round(thumbWidth * this.canvasHeight / this.canvasWidth);
+        const format = this.getExportFormat('png');
+        grid.classList.add('layout-algorithm-grid--compare');
+        
+        for (const card of grid.querySelectorAll('.layout-algorithm')) {
+            const { positions, report } = await this.runLayoutJob(card.dataset.layout, selectedImageData);
+            if (!this.compareMode) return;
+        
+            const elements = positions.map((pos, index) => this.createElementFromPosition(pos, index));
+            const rendered = this.renderOffscreen(this.rescaleElementsForSize(elements, thumbWidth, thumbHeight), thumbWidth, thumbHeight, format);
+        
+            let thumbnail = card.querySelector('.layout-thumbnail');
+            if (!thumbnail) {
+                thumbnail = document.createElement('canvas');
+                thumbnail.className = 'layout-thumbnail';
+                card.insertBefore(thumbnail, card.firstChild);
+            }
+            thumbnail.width = thumbWidth;
+            thumbnail.height = thumbHeight;
+            thumbnail.getContext('2d').drawImage(rendered, 0, 0);
+        
+            let coverage = card.querySelector('.layout-coverage');
+            if (!coverage) {
+                coverage = document.createElement('div');
+                coverage.className = 'layout-coverage';
+                card.querySelector('.layout-info').appendChild(coverage);
+            }
+            coverage.textContent = `${report.coverage.toFixed(0)}% coverage`;
+        }
+    }
+
+    clearLayoutComparisons() {
+        const grid = document.querySelector('.layout-algorithm-grid');
+        if (!grid) return;
+        
+        grid.classList.remove('layout-algorithm-grid--compare');
+        grid.querySelectorAll('.layout-thumbnail, .layout-coverage').forEach(el => el.remove());
+    }
+
+    async applyAdvancedNaturalLayout() {
+        if (!this.currentLayout || this.selectedImages.size === 0) {
+            this.showToast('Please select a layout and images first', 'warning');
+            return;
+        }
+        
+        // The panel stays open when the layout is cancelled so settings can be adjusted
+        if (await this.applyNaturalAutoFitLayout()) {
             this.hideAdvancedAutoFitPanel();
-            this.exitPreviewMode();
-            this.hideLoadingOverlay();
-        }, 1000);
+        }
     }
 
     // ===== IMAGE MANAGEMENT =====
@@ -908,13 +1471,7 @@ class WallpaperCreator {
         const files = Array.from(e.target.files);
         if (files.length === 0) return;
         
-        this.showToast(`Loading ${files.length} image(s)...`, 'info');
-        
-        files.forEach(file => {
-            if (file.type.startsWith('image/')) {
-                this.loadImage(file);
-            }
-        });
+        this.loadFiles(files);
         e.target.value = ''; // Clear the input
     }
 
@@ -926,43 +1483,235 @@ class WallpaperCreator {
     handleDrop(e) {
         e.preventDefault();
         e.target.classList.remove('dragover');
-        const files = Array.from(e.dataTransfer.files);
-        this.showToast(`Loading ${files.length} image(s)...`, 'info');
+        this.loadFiles(Array.from(e.dataTransfer.files));
+    }
+
+    // Project bundles and images share the file picker and drop zone
+    async loadFiles(files) {
+        const projectFile = files.find(file => this.isProjectFile(file));
+        if (projectFile) {
+            this.importProjectFile(projectFile);
+            return;
+        }
+        
+        const imageFiles = files.filter(file => file.type.startsWith('image/'));
+        if (imageFiles.length === 0) return;
         
-        files.forEach(file => {
-            if (file.type.startsWith('image/')) {
-                this.loadImage(file);
+        this.showToast(`Loading ${imageFiles.length} image(s)...`, 'info');
+        
+        // One file at a time, so only a single full-size decode is held in memory
+        for (const file of imageFiles) {
+            try {
+                await this.loadImage(file);
+            } catch (error) {
+                this.showToast(`Unable to load ${file.name}`, 'error');
             }
-        });
+        }
     }
 
-    loadImage(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                const imageData = {
-                    id: ++this.currentImageId,
-                    src: e.target.result,
-                    name: file.name,
-                    img: img,
-                    originalWidth: img.width,
-                    originalHeight: img.height
-                };
-                this.images.push(imageData);
-                this.displayImageThumbnail(imageData);
-                
-                const aspectRatio = this.calculateAspectRatio(imageData);
-                const category = this.categorizeByAspectRatio(imageData);
-                
-                this.showToast(
-                    `${file.name} loaded - ${category.name} ${aspectRatio.toFixed(2)}:1`, 
-                    'success'
-                );
-            };
-            img.src = e.target.result;
+    async loadImage(file) {
+        const { img, src, width, height, metadata } = await this.createImageProxy(file);
+        const imageData = {
+            id: ++this.currentImageId,
+            src,
+            name: file.name,
+            blob: file,
+            img,
+            originalWidth: width,
+            originalHeight: height,
+            metadata,
+            focalPoint: this.detectFocalPoint(img)
+        };
+        this.images.push(imageData);
+        this.displayImageThumbnail(imageData);
+        
+        const aspectRatio = this.calculateAspectRatio(imageData);
+        const category = this.categorizeByAspectRatio(imageData);
+        
+        this.showToast(
+            `${file.name} loaded - ${category.name} ${aspectRatio.toFixed(2)}:1`, 
+            'success'
+        );
+        return imageData;
+    }
+
+    // The canvas draws img, a copy no larger than proxyMaxSize, and the gallery shows
+    // src, a small encoded thumbnail. The original file stays in imageData.blob and is
+    // decoded again only for export. width/height are the upright original dimensions.
+    async createImageProxy(blob) {
+        const metadata = await this.readImageMetadata(blob);
+        const original = await this.decodeImageFile(blob, metadata);
+        if (!original) {
+            // Older browsers, and SVG files, which createImageBitmap cannot decode from a blob
+            const { img: decoded, src } = await this.loadImageFromBlob(blob);
+            const img = this.orientImageSource(decoded, metadata);
+            return { img, src, width: img.width, height: img.height, metadata };
+        }
+        
+        const width = original.width;
+        const height = original.height;
+        const img = await this.downscaleImageSource(original, this.proxyMaxSize);
+        if (img !== original) original.close();
+        
+        const thumbnail = await this.downscaleImageSource(img, this.thumbnailMaxSize);
+        const src = URL.createObjectURL(await this.encodeImageSource(thumbnail));
+        if (thumbnail !== img) thumbnail.close();
+        
+        return { img, src, width, height, metadata };
+    }
+
+    async readImageMetadata(blob) {
+        // EXIF and the frame header sit at the start of the file
+        const metadata = ImageMetadata.read(await blob.slice(0, 512 * 1024).arrayBuffer());
+        return { ...metadata, fileSize: blob.size, mimeType: blob.type || null };
+    }
+
+    // Resolves with an upright ImageBitmap, or null when createImageBitmap cannot decode the file
+    async decodeImageFile(blob, metadata) {
+        if (typeof createImageBitmap === 'undefined') return null;
+        
+        const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' }).catch(() => null);
+        if (!bitmap) return null;
+        
+        const oriented = this.orientImageSource(bitmap, metadata);
+        if (oriented === bitmap) return bitmap;
+        
+        const upright = await createImageBitmap(oriented);
+        bitmap.close();
+        return upright;
+    }
+
+    // Browsers that honour EXIF decode photos upright already. A quarter-turn tag on
+    // a decode that still has the stored frame size means it was ignored, so the
+    // turn is applied here. Mirror and 180° tags keep the size and are left to the browser.
+    orientImageSource(source, metadata) {
+        const { orientation, pixelWidth, pixelHeight } = metadata;
+        const ignored = orientation >= 5 && orientation <= 8 && pixelWidth !== pixelHeight &&
+            source.width === pixelWidth && source.height === pixelHeight;
+        if (!ignored) return source;
+        
+        const w = source.width;
+        const h = source.height;
+        const transforms = {
+            5: [0, 1, 1, 0, 0, 0],
+            6: [0, 1, -1, 0, h, 0],
+            7: [0, -1, -1, 0, h, w],
+            8: [0, -1, 1, 0, 0, w]
         };
-        reader.readAsDataURL(file);
+        const canvas = this.createWorkCanvas(h, w);
+        const ctx = canvas.getContext('2d');
+        ctx.transform(...transforms[orientation]);
+        ctx.drawImage(source, 0, 0);
+        return canvas;
+    }
+
+    createWorkCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    // Resolves with the source itself when it already fits
+    async downscaleImageSource(source, maxSize) {
+        const scale = maxSize / Math.max(source.width, source.height);
+        if (scale >= 1) return source;
+        
+        return createImageBitmap(source, {
+            resizeWidth: Math.max(1, Math.round(source.width * scale)),
+            resizeHeight: Math.max(1, Math.round(source.height * scale)),
+            resizeQuality: 'high'
+        });
+    }
+
+    encodeImageSource(source) {
+        const canvas = this.createWorkCanvas(source.width, source.height);
+        canvas.getContext('2d').drawImage(source, 0, 0);
+        
+        if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/webp', quality: 0.85 });
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.85));
+    }
+
+    // Automatic focal point for crop to fill, as fractions of the image size. Edge
+    // strength and colour saturation on a small copy stand in for saliency; squaring
+    // favours the busiest region and a mild centre bias breaks ties on flat images.
+    detectFocalPoint(source) {
+        const scale = 64 / Math.max(source.width, source.height);
+        const width = Math.max(3, Math.round(source.width * scale));
+        const height = Math.max(3, Math.round(source.height * scale));
+        
+        let pixels;
+        try {
+            const ctx = this.createWorkCanvas(width, height).getContext('2d');
+            ctx.drawImage(source, 0, 0, width, height);
+            pixels = ctx.getImageData(0, 0, width, height).data;
+        } catch (error) {
+            // Unreadable pixels fall back to the centre
+            return { x: 0.5, y: 0.5 };
+        }
+        
+        const luminance = new Float32Array(width * height);
+        const saturation = new Float32Array(width * height);
+        for (let i = 0; i < luminance.length; i++) {
+            const r = pixels[i * 4];
+            const g = pixels[i * 4 + 1];
+            const b = pixels[i * 4 + 2];
+            luminance[i] = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+            saturation[i] = (Math.max(r, g, b) - Math.min(r, g, b)) / 255;
+        }
+        
+        let total = 0;
+        let sumX = 0;
+        let sumY = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const edge = Math.hypot(luminance[i + 1] - luminance[i - 1], luminance[i + width] - luminance[i - width]);
+                const dx = (x + 0.5) / width - 0.5;
+                const dy = (y + 0.5) / height - 0.5;
+                const weight = Math.pow(edge + 0.25 * saturation[i], 2) * (1 - (dx * dx + dy * dy));
+                total += weight;
+                sumX += weight * (x + 0.5);
+                sumY += weight * (y + 0.5);
+            }
+        }
+        
+        if (total === 0) return { x: 0.5, y: 0.5 };
+        const round = value => Math.round(value * 1000) / 1000;
+        return { x: round(sumX / total / width), y: round(sumY / total / height) };
+    }
+
+    // Copy of the original file without camera, capture date or location; the
+    // orientation is kept so the photo still opens upright
+    async stripImageMetadata(blob) {
+        const buffer = await blob.arrayBuffer();
+        const { orientation } = ImageMetadata.read(buffer);
+        return new Blob([ImageMetadata.strip(buffer, orientation)], { type: blob.type });
+    }
+
+    // Gallery tooltip: file details plus whatever the photo's EXIF provides
+    getImageInfoText(imageData) {
+        const metadata = imageData.metadata || {};
+        const lines = [imageData.name];
+        
+        let size = `${imageData.originalWidth} × ${imageData.originalHeight} px`;
+        if (metadata.fileSize) size += ` · ${(metadata.fileSize / (1024 * 1024)).toFixed(1)} MB`;
+        lines.push(size);
+        
+        if (metadata.capturedAt) lines.push(`Taken ${new Date(metadata.capturedAt).toLocaleString()}`);
+        if (metadata.camera) lines.push(metadata.camera);
+        const color = [metadata.colorSpace, metadata.hasIccProfile && 'embedded color profile'].filter(Boolean);
+        if (color.length > 0) lines.push(color.join(', '));
+        if (metadata.hasGps) lines.push('Contains GPS location');
+        return lines.join('\n');
+    }
+
+    // Frees the thumbnail URL and the decoded proxy of an image leaving the library
+    releaseImageData(imageData) {
+        if (imageData.src && imageData.src.startsWith('blob:')) URL.revokeObjectURL(imageData.src);
+        if (imageData.img && imageData.img.close) imageData.img.close();
     }
 
     displayImageThumbnail(imageData) {
@@ -977,6 +1726,7 @@ class WallpaperCreator {
         const category = this.categorizeByAspectRatio(imageData);
         thumbnail.setAttribute('data-aspect-ratio', 
             `${category.name} (${aspectRatio.toFixed(2)})`);
+        thumbnail.title = this.getImageInfoText(imageData);
         
         const img = document.createElement('img');
         img.src = imageData.src;
@@ -1045,23 +1795,38 @@ class WallpaperCreator {
         this.elements.push(element);
         this.selectElement(element);
         this.render();
-        this.saveState();
+        this.saveState('Added image');
         this.showToast('Image added to canvas with preserved aspect ratio', 'success');
     }
 
     // Loading overlay
-    showLoadingOverlay(text = 'Processing...') {
+    // Passing onCancel shows a Cancel button that calls it
+    showLoadingOverlay(text = 'Processing...', onCancel = null) {
         const overlay = document.getElementById('loadingOverlay');
         if (!overlay) return;
         
         const loadingText = overlay.querySelector('.loading-text');
+        const cancelBtn = document.getElementById('loadingCancelBtn');
         if (loadingText) loadingText.textContent = text;
+        if (cancelBtn) cancelBtn.classList.toggle('hidden', !onCancel);
+        this.loadingCancelHandler = onCancel;
+        this.updateLoadingProgress(0);
         overlay.classList.remove('hidden');
     }
 
+    updateLoadingProgress(progress, message) {
+        const overlay = document.getElementById('loadingOverlay');
+        const progressBar = document.getElementById('loadingProgressBar');
+        if (progressBar) progressBar.style.width = `${Math.round(Math.min(1, Math.max(0, progress)) * 100)}%`;
+        
+        const loadingText = overlay && overlay.querySelector('.loading-text');
+        if (loadingText && message) loadingText.textContent = message;
+    }
+
     hideLoadingOverlay() {
         const overlay = document.getElementById('loadingOverlay');
         if (overlay) overlay.classList.add('hidden');
+        this.loadingCancelHandler = null;
     }
 
     // Essential methods - simplified implementations for core functionality
@@ -1073,12 +1838,14 @@ class WallpaperCreator {
                 el.type !== 'image' || !this.selectedImages.has(el.imageId)
             );
             
+            this.images.filter(img => this.selectedImages.has(img.id)).forEach(img => this.releaseImageData(img));
             this.images = this.images.filter(img => !this.selectedImages.has(img.id));
             this.selectedImages.clear();
-            
+            this.pruneSelection();
+        
             this.refreshImageGallery();
             this.render();
-            this.saveState();
+            this.saveState('Deleted images');
             this.showToast('Selected images deleted', 'success');
         }
     }
@@ -1113,7 +1880,7 @@ class WallpaperCreator {
         });
         
         this.render();
-        this.saveState();
+        this.saveState('Added images');
         this.showToast(`${selectedImageData.length} images added with preserved ratios`, 'success');
     }
 
@@ -1131,284 +1898,4129 @@ class WallpaperCreator {
     }
 
     deleteImage(imageId) {
+        this.images.filter(img => img.id === imageId).forEach(img => this.releaseImageData(img));
         this.images = this.images.filter(img => img.id !== imageId);
         this.selectedImages.delete(imageId);
         this.elements = this.elements.filter(el => el.imageId !== imageId);
+        this.pruneSelection();
         this.refreshImageGallery();
         this.render();
-        this.saveState();
+        this.saveState('Deleted image');
         this.showToast('Image deleted', 'success');
     }
 
-    // Canvas interaction methods
-    handleCanvasMouseDown(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / this.zoom;
-        const y = (e.clientY - rect.top) / this.zoom;
+    // ===== TEXT LAYERS =====
+
+    addText() {
+        const fontSize = Math.round(Math.min(this.canvasWidth, this.canvasHeight) / 10);
+        const element = {
+            id: Date.now(),
+            type: 'text',
+            text: 'Your text',
+            x: 0,
+            y: 0,
+            width: 0,
+            height: 0,
+            rotation: 0,
+            opacity: 1,
+            zIndex: this.elements.reduce((max, el) => Math.max(max, el.zIndex || 0), 0) + 1,
+            fontFamily: this.availableFonts[3],
+            fontSize,
+            fontWeight: 600,
+            color: '#ffffff',
+            textAlign: 'center',
+            lineHeight: 1.2,
+            letterSpacing: 0,
+            strokeWidth: 0,
+            strokeColor: '#000000',
+            shadow: { offsetX: 0, offsetY: Math.round(fontSize / 24), blur: Math.round(fontSize / 8), color: 'rgba(0, 0, 0, 0.5)' }
+        };
         
-        const element = this.getElementAtPosition(x, y);
-        if (element) {
-            this.selectElement(element);
-            this.isDragging = true;
-            this.dragOffset.x = x - element.x;
-            this.dragOffset.y = y - element.y;
-        } else {
-            this.selectElement(null);
-        }
+        this.measureTextElement(element);
+        element.x = (this.canvasWidth - element.width) / 2;
+        element.y = (this.canvasHeight - element.height) / 2;
+        
+        this.elements.push(element);
+        this.selectElement(element);
+        this.saveState('Added text');
+        this.loadElementFont(element);
+        this.startInlineTextEdit(element);
     }
 
-    handleCanvasMouseMove(e) {
-        if (!this.isDragging) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / this.zoom;
-        const y = (e.clientY - rect.top) / this.zoom;
+    getTextFont(element) {
+        return `${element.fontWeight} ${element.fontSize}px "${element.fontFamily}", sans-serif`;
+    }
+
+    // Web fonts are only used by the canvas once loaded, so re-measure afterwards
+    loadElementFont(element) {
+        if (!document.fonts || !document.fonts.load) return;
         
-        if (this.selectedElement) {
-            this.selectedElement.x = Math.max(0, x - this.dragOffset.x);
-            this.selectedElement.y = Math.max(0, y - this.dragOffset.y);
+        document.fonts.load(this.getTextFont(element), element.text).then(() => {
+            this.measureTextElement(element);
             this.render();
-        }
+        }).catch(() => {});
     }
 
-    handleCanvasMouseUp(e) {
-        if (this.isDragging) {
-            this.saveState();
-        }
-        this.isDragging = false;
+    measureTextLine(ctx, line, letterSpacing) {
+        const width = ctx.measureText(line).width;
+        return width + Math.max(0, Array.from(line).length - 1) * letterSpacing;
     }
 
-    handleCanvasClick(e) {
-        // Handle canvas clicks
+    // Text boxes size themselves to their content, keeping the current anchor
+    measureTextElement(element) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = this.getTextFont(element);
+        const lines = element.text.split('\n');
+        const widths = lines.map(line => this.measureTextLine(ctx, line, element.letterSpacing));
+        ctx.restore();
+        
+        const padding = element.strokeWidth / 2;
+        const width = Math.max(...widths, element.fontSize / 2) + padding * 2;
+        const height = lines.length * element.fontSize * element.lineHeight + padding * 2;
+        
+        if (element.width) {
+            if (element.textAlign === 'center') element.x += (element.width - width) / 2;
+            if (element.textAlign === 'right') element.x += element.width - width;
+        }
+        element.width = width;
+        element.height = height;
     }
 
-    getElementAtPosition(x, y) {
-        for (let i = this.elements.length - 1; i >= 0; i--) {
-            const element = this.elements[i];
-            if (this.isPointInElement(x, y, element)) {
-                return element;
+    drawTextLine(ctx, line, x, y, element, mode) {
+        const draw = (text, drawX) => {
+            if (mode === 'stroke') {
+                ctx.strokeText(text, drawX, y);
+            } else {
+                ctx.fillText(text, drawX, y);
             }
+        };
+        
+        if (!element.letterSpacing) {
+            draw(line, x);
+            return;
         }
-        return null;
+        
+        // Lay out characters manually so spacing works without ctx.letterSpacing
+        let cursor = x;
+        Array.from(line).forEach(char => {
+            draw(char, cursor);
+            cursor += ctx.measureText(char).width + element.letterSpacing;
+        });
     }
 
-    isPointInElement(x, y, element) {
-        if (element.type === 'image') {
-            return x >= element.x && x <= element.x + element.width &&
-                   y >= element.y && y <= element.y + element.height;
-        }
-        return false;
+    renderTextElement(element, ctx) {
+        const padding = element.strokeWidth / 2;
+        const lineHeight = element.fontSize * element.lineHeight;
+        const innerWidth = element.width - padding * 2;
+        
+        ctx.font = this.getTextFont(element);
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.lineJoin = 'round';
+        
+        element.text.split('\n').forEach((line, index) => {
+            const lineWidth = this.measureTextLine(ctx, line, element.letterSpacing);
+            let x = element.x + padding;
+            if (element.textAlign === 'center') x += (innerWidth - lineWidth) / 2;
+            if (element.textAlign === 'right') x += innerWidth - lineWidth;
+            const y = element.y + padding + lineHeight * index + lineHeight / 2;
+            
+            ctx.save();
+            if (element.shadow) {
+                ctx.shadowColor = element.shadow.color;
+                ctx.shadowBlur = element.shadow.blur;
+                ctx.shadowOffsetX = element.shadow.offsetX;
+                ctx.shadowOffsetY = element.shadow.offsetY;
+            }
+            
+            // Stroke carries the shadow so the fill on top stays crisp
+            if (element.strokeWidth > 0) {
+                ctx.lineWidth = element.strokeWidth;
+                ctx.strokeStyle = element.strokeColor;
+                this.drawTextLine(ctx, line, x, y, element, 'stroke');
+                ctx.shadowColor = 'transparent';
+            }
+            
+            ctx.fillStyle = element.color;
+            this.drawTextLine(ctx, line, x, y, element, 'fill');
+            ctx.restore();
+        });
     }
 
-    selectElement(element) {
-        this.selectedElement = element;
+    updateTextElement(element, changes) {
+        Object.assign(element, changes);
+        this.measureTextElement(element);
         this.render();
+        if (changes.fontFamily || changes.fontWeight) this.loadElementFont(element);
     }
 
-    render() {
-        this.clearCanvas();
-        
-        if (this.backgroundColor && this.backgroundColor !== '#ffffff') {
-            this.ctx.fillStyle = this.backgroundColor;
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        }
-        
-        // Sort elements by zIndex for proper stacking
-        const sortedElements = [...this.elements].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+    // Edit text in place with a textarea laid over the canvas
+    startInlineTextEdit(element) {
+        const overlay = document.getElementById('canvasOverlay');
+        if (!overlay) return;
+        this.finishInlineTextEdit();
+        
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const overlayRect = overlay.getBoundingClientRect();
+        const editor = document.createElement('textarea');
+        editor.className = 'inline-text-editor';
+        editor.value = element.text;
+        
+        Object.assign(editor.style, {
+            left: `${canvasRect.left - overlayRect.left + element.x * this.zoom}px`,
+            top: `${canvasRect.top - overlayRect.top + element.y * this.zoom}px`,
+            minWidth: `${element.width * this.zoom}px`,
+            height: `${element.height * this.zoom}px`,
+            font: `${element.fontWeight} ${element.fontSize * this.zoom}px "${element.fontFamily}", sans-serif`,
+            lineHeight: element.lineHeight,
+            letterSpacing: `${element.letterSpacing * this.zoom}px`,
+            textAlign: element.textAlign,
+            color: element.color
+        });
         
-        sortedElements.forEach(element => {
-            this.renderElement(element);
+        const originalText = element.text;
+        editor.addEventListener('input', () => {
+            this.updateTextElement(element, { text: editor.value });
+            editor.style.height = `${element.height * this.zoom}px`;
+            editor.style.minWidth = `${element.width * this.zoom}px`;
+        });
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.updateTextElement(element, { text: originalText });
+                this.finishInlineTextEdit();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                this.finishInlineTextEdit();
+            }
         });
+        editor.addEventListener('blur', () => this.finishInlineTextEdit());
         
-        if (this.selectedElement) {
-            this.renderSelection(this.selectedElement);
-        }
+        this.inlineEdit = { element, editor, originalText };
+        overlay.appendChild(editor);
+        editor.focus();
+        editor.select();
     }
 
-    renderElement(element) {
-        this.ctx.save();
-        this.ctx.globalAlpha = element.opacity;
+    finishInlineTextEdit() {
+        if (!this.inlineEdit) return;
         
-        if (element.type === 'image' && element.imageData && element.imageData.img) {
-            this.ctx.drawImage(
-                element.imageData.img,
-                element.x,
-                element.y,
-                element.width,
-                element.height
-            );
-        }
+        const { element, editor, originalText } = this.inlineEdit;
+        this.inlineEdit = null;
+        editor.remove();
         
-        this.ctx.restore();
+        if (!element.text.trim()) {
+            this.updateTextElement(element, { text: originalText });
+        }
+        if (element.text !== originalText) {
+            this.saveState('Edited text');
+        }
+        this.updatePropertiesPanel();
     }
 
-    renderSelection(element) {
-        this.ctx.save();
-        this.ctx.strokeStyle = '#1FB8CD';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+    // Canvas interaction methods
+    handleCanvasMouseDown(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / this.zoom;
+        const y = (e.clientY - rect.top) / this.zoom;
         
-        this.ctx.strokeRect(element.x - 2, element.y - 2, element.width + 4, element.height + 4);
+        // Handles of the current selection take priority over elements beneath them
+        const handle = this.getSelectionHandle(x, y);
+        if (handle) {
+            const selected = this.selectedElement;
+            this.isResizing = true;
+            this.resizeHandle = handle;
+            if (selected) {
+                this.transformStart = { ...selected, shadow: selected.shadow ? { ...selected.shadow } : null };
+            } else {
+                this.startGroupTransform();
+            }
+            return;
+        }
         
-        this.ctx.restore();
+        // Clicking a grouped element takes the whole group; Ctrl/Cmd-click picks it alone.
+        // Shift adds to or removes from the selection.
+        const element = this.getElementAtPosition(x, y);
+        if (element) {
+            const members = e.ctrlKey || e.metaKey ? [element] : this.getGroupMembers(element);
+            if (e.shiftKey) {
+                this.toggleElementSelection(element, members);
+            } else if (e.ctrlKey || e.metaKey || !this.selectedElements.includes(element)) {
+                // Pressing on an element that is already selected keeps the selection so it can be dragged
+                this.setSelection(members);
+            }
+            if (this.selectedElements.includes(element) && !element.locked) this.startDrag(x, y);
+        } else {
+            // Empty canvas starts a marquee; with Shift it adds to the selection
+            this.marquee = { startX: x, startY: y, x, y, base: e.shiftKey ? [...this.selectedElements] : [] };
+            if (!e.shiftKey) this.setSelection([]);
+        }
     }
 
-    clearCanvas() {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    // A selection that fits stays on the canvas; one larger than the canvas can be
+    // panned but keeps covering it. Anything already past those limits may stay
+    // where it is but not go further.
+    clampDragOffset(offset, start, size, canvasSize) {
+        const toStartEdge = -start;
+        const toEndEdge = canvasSize - start - size;
+        const min = size <= canvasSize ? toStartEdge : toEndEdge;
+        const max = size <= canvasSize ? toEndEdge : toStartEdge;
+        return Math.min(Math.max(offset, Math.min(0, min)), Math.max(0, max));
     }
 
-    setZoom(newZoom) {
-        this.zoom = Math.max(0.1, Math.min(5, newZoom));
-        this.canvas.style.width = this.canvasWidth * this.zoom + 'px';
-        this.canvas.style.height = this.canvasHeight * this.zoom + 'px';
-        this.updateZoomDisplay();
+    // Every unlocked selected element moves with the pointer
+    startDrag(x, y) {
+        const moving = this.selectedElements.filter(el => !el.locked);
+        this.isDragging = true;
+        this.dragOrigin = { x, y };
+        this.dragStart = new Map(moving.map(el => [el, { x: el.x, y: el.y }]));
+        this.dragBounds = this.getSelectionBounds(moving);
+        this.snapTargets = this.getSnapTargets(moving);
     }
 
-    updateZoomDisplay() {
-        const zoomElement = document.getElementById('zoomLevel');
-        if (zoomElement) {
-            zoomElement.textContent = Math.round(this.zoom * 100) + '%';
+    handleCanvasMouseMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / this.zoom;
+        const y = (e.clientY - rect.top) / this.zoom;
+        
+        if (this.isResizing && this.groupBox) {
+            this.transformGroup(x, y, e);
+            this.requestRender();
+            return;
         }
-    }
-
-    fitToScreen() {
-        const container = document.getElementById('canvasContainer');
-        if (!container) return;
         
-        const containerWidth = container.clientWidth - 40;
-        const containerHeight = container.clientHeight - 40;
+        if (this.marquee) {
+            this.marquee.x = x;
+            this.marquee.y = y;
+            this.requestRender();
+            return;
+        }
         
-        const scaleX = containerWidth / this.canvasWidth;
-        const scaleY = containerHeight / this.canvasHeight;
+        if (this.isResizing && this.selectedElement) {
+            if (this.resizeHandle.name === 'rotate') {
+                this.rotateFromHandle(this.selectedElement, x, y, e.shiftKey);
+                this.showTransformReadout(`${Math.round(this.selectedElement.rotation)}°`, e);
+            } else if (this.resizeHandle.name === 'focal') {
+                this.moveFocalPoint(this.selectedElement, x, y);
+            } else {
+                this.resizeFromHandle(this.selectedElement, this.resizeHandle, x, y, e.shiftKey);
+                this.showTransformReadout(
+                    `${Math.round(this.selectedElement.width)} × ${Math.round(this.selectedElement.height)}`, e
+                );
+            }
+            this.requestRender();
+            return;
+        }
         
-        this.setZoom(Math.min(scaleX, scaleY));
+        if (!this.isDragging) {
+            this.updateCanvasCursor(x, y);
+            return;
+        }
+        
+        if (this.dragStart) {
+            const bounds = this.dragBounds;
+            let dx = x - this.dragOrigin.x;
+            let dy = y - this.dragOrigin.y;
+        
+            // Alt moves freely
+            this.guides = [];
+            if (this.snapSettings.enabled && !e.altKey) {
+                const snap = this.snapBounds({ ...bounds, x: bounds.x + dx, y: bounds.y + dy }, this.snapTargets);
+                dx += snap.dx;
+                dy += snap.dy;
+                this.guides = snap.guides;
+            }
+        
+            dx = this.clampDragOffset(dx, bounds.x, bounds.width, this.canvasWidth);
+            dy = this.clampDragOffset(dy, bounds.y, bounds.height, this.canvasHeight);
+            this.dragStart.forEach((start, element) => {
+                element.x = start.x + dx;
+                element.y = start.y + dy;
+            });
+            this.requestRender();
+        }
     }
 
-    // Essential setup methods
+    handleCanvasMouseUp(e) {
+        const element = this.selectedElement;
+        if (this.marquee) {
+            this.finishMarquee();
+        } else if (this.isResizing && this.groupBox) {
+            this.finishGroupTransform();
+        } else if (this.isResizing && element) {
+            const start = this.transformStart;
+            const noun = element.type === 'image' ? 'image' : 'element';
+            if (this.resizeHandle.name === 'rotate' && element.rotation !== start.rotation) {
+                this.saveState(`Rotated ${noun}`);
+            } else if (this.resizeHandle.name === 'focal' && element.focalPoint !== start.focalPoint) {
+                this.saveState('Moved focal point');
+            } else if (element.width !== start.width || element.height !== start.height) {
+                this.saveState(`Resized ${noun}`);
+            }
+            this.updatePropertiesPanel();
+            this.hideTransformReadout();
+        } else if (this.isDragging && this.dragStart &&
+            [...this.dragStart].some(([el, start]) => el.x !== start.x || el.y !== start.y)) {
+            if (element) {
+                this.saveState(element.type === 'image' ? 'Moved image' : 'Moved element');
+            } else {
+                this.saveState(`Moved ${this.dragStart.size} elements`);
+            }
+            this.updatePropertiesPanel();
+        }
+        this.isDragging = false;
+        this.isResizing = false;
+        this.resizeHandle = null;
+        this.transformStart = null;
+        this.dragOrigin = null;
+        this.dragStart = null;
+        this.dragBounds = null;
+        this.snapTargets = null;
+        if (this.guides.length > 0) {
+            this.guides = [];
+            this.render();
+        }
+    }
+
+    handleCanvasClick(e) {
+        // Handle canvas clicks
+    }
+
+    handleCanvasDoubleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) / this.zoom;
+        const y = (e.clientY - rect.top) / this.zoom;
+        
+        const element = this.getElementAtPosition(x, y);
+        if (element && element.type === 'text') {
+            this.selectElement(element);
+            this.startInlineTextEdit(element);
+        }
+    }
+
+    getElementAtPosition(x, y) {
+        // Hit-test in stacking order so the topmost element wins. Hidden elements are
+        // only picked where nothing visible is, so they can still be selected and shown.
+        const sortedElements = this.getSortedElements().reverse();
+        return sortedElements.find(element => this.isPointInElement(x, y, element)) ||
+            sortedElements.find(element => element.visible === false && this.isPointInElement(x, y, element, true)) ||
+            null;
+    }
+
+    isPointInElement(x, y, element, includeHidden = false) {
+        if (element.visible === false && !includeHidden) return false;
+        
+        if (element.type === 'image' || element.type === 'text') {
+            // Test in the element's own unrotated frame
+            const local = this.toElementSpace(x, y, element);
+            if (element.type === 'image') return this.isPointInShape(element, local);
+            return Math.abs(local.x) <= element.width / 2 && Math.abs(local.y) <= element.height / 2;
+        }
+        return false;
+    }
+
+    // ===== TRANSFORM HANDLES =====
+
+    getElementCenter(element) {
+        return { x: element.x + element.width / 2, y: element.y + element.height / 2 };
+    }
+
+    // Canvas point -> offset from the element centre with rotation undone
+    toElementSpace(x, y, element) {
+        const center = this.getElementCenter(element);
+        const angle = -(element.rotation || 0) * Math.PI / 180;
+        const dx = x - center.x;
+        const dy = y - center.y;
+        return {
+            x: dx * Math.cos(angle) - dy * Math.sin(angle),
+            y: dx * Math.sin(angle) + dy * Math.cos(angle)
+        };
+    }
+
+    fromElementSpace(localX, localY, center, rotation) {
+        const angle = (rotation || 0) * Math.PI / 180;
+        return {
+            x: center.x + localX * Math.cos(angle) - localY * Math.sin(angle),
+            y: center.y + localX * Math.sin(angle) + localY * Math.cos(angle)
+        };
+    }
+
+    // Handle positions in element space; sizes are in screen pixels
+    getTransformHandles(element) {
+        const halfWidth = element.width / 2;
+        const halfHeight = element.height / 2;
+        const handles = [
+            { name: 'nw', dx: -1, dy: -1, cursor: 'nwse-resize' },
+            { name: 'n', dx: 0, dy: -1, cursor: 'ns-resize' },
+            { name: 'ne', dx: 1, dy: -1, cursor: 'nesw-resize' },
+            { name: 'e', dx: 1, dy: 0, cursor: 'ew-resize' },
+            { name: 'se', dx: 1, dy: 1, cursor: 'nwse-resize' },
+            { name: 's', dx: 0, dy: 1, cursor: 'ns-resize' },
+            { name: 'sw', dx: -1, dy: 1, cursor: 'nesw-resize' },
+            { name: 'w', dx: -1, dy: 0, cursor: 'ew-resize' }
+        ].map(handle => ({ ...handle, x: handle.dx * halfWidth, y: handle.dy * halfHeight }));
+        
+        handles.push({ name: 'rotate', dx: 0, dy: -1, cursor: 'grab', x: 0, y: -halfHeight - 30 / this.zoom });
+        
+        // Crop to fill images get a focal point marker where that point sits in the frame
+        if (element.type === 'image' && element.fit === 'crop' && element.imageData) {
+            const source = this.getImageSourceRect(element);
+            const focal = this.getFocalPoint(element);
+            handles.push({
+                name: 'focal', dx: 0, dy: 0, cursor: 'crosshair',
+                x: ((focal.x * element.imageData.originalWidth - source.x) / source.width - 0.5) * element.width,
+                y: ((focal.y * element.imageData.originalHeight - source.y) / source.height - 0.5) * element.height
+            });
+        }
+        return handles;
+    }
+
+    getHandleAtPosition(x, y, element) {
+        const local = this.toElementSpace(x, y, element);
+        const tolerance = 8 / this.zoom;
+        return this.getTransformHandles(element).find(handle =>
+            Math.abs(local.x - handle.x) <= tolerance && Math.abs(local.y - handle.y) <= tolerance
+        ) || null;
+    }
+
+    // The selected element's own handles, or the group box's when several are selected
+    getSelectionHandle(x, y) {
+        const selected = this.selectedElement;
+        if (selected) return selected.locked ? null : this.getHandleAtPosition(x, y, selected);
+        if (!this.selectedElements.some(el => !el.locked)) return null;
+        return this.getHandleAtPosition(x, y, this.getSelectionBounds());
+    }
+
+    updateCanvasCursor(x, y) {
+        const handle = this.getSelectionHandle(x, y);
+        
+        if (handle) {
+            this.canvas.style.cursor = handle.cursor;
+        } else {
+            const element = this.getElementAtPosition(x, y);
+            this.canvas.style.cursor = element && !element.locked ? 'move' : '';
+        }
+    }
+
+    // Only elements that can show a different region of their source may change
+    // shape; everything else scales uniformly so images are never distorted
+    canResizeFreely(element) {
+        return element.type === 'image' && element.fit === 'crop';
+    }
+
+    resizeFromHandle(element, handle, x, y, freeResize) {
+        const start = this.transformStart;
+        const startCenter = this.getElementCenter(start);
+        const local = this.toElementSpace(x, y, start);
+        const minSize = 10;
+        
+        // The handle opposite the one being dragged stays fixed
+        const anchor = { x: -handle.dx * start.width / 2, y: -handle.dy * start.height / 2 };
+        let width = handle.dx ? Math.max(minSize, (local.x - anchor.x) * handle.dx) : start.width;
+        let height = handle.dy ? Math.max(minSize, (local.y - anchor.y) * handle.dy) : start.height;
+        
+        if (!(freeResize && this.canResizeFreely(element))) {
+            let scale;
+            if (handle.dx && handle.dy) {
+                scale = Math.max(width / start.width, height / start.height);
+            } else {
+                scale = handle.dx ? width / start.width : height / start.height;
+            }
+            scale = Math.max(scale, minSize / Math.min(start.width, start.height));
+            width = start.width * scale;
+            height = start.height * scale;
+        }
+        
+        const centerLocal = {
+            x: handle.dx ? anchor.x + handle.dx * width / 2 : 0,
+            y: handle.dy ? anchor.y + handle.dy * height / 2 : 0
+        };
+        const center = this.fromElementSpace(centerLocal.x, centerLocal.y, startCenter, start.rotation);
+        
+        if (element.type === 'text') {
+            Object.assign(element, this.scaleElementDetails(start, width / start.width));
+        }
+        element.width = width;
+        element.height = height;
+        element.x = center.x - width / 2;
+        element.y = center.y - height / 2;
+    }
+
+    rotateFromHandle(element, x, y, snap) {
+        const center = this.getElementCenter(element);
+        // The rotation handle sits above the element, i.e. at -90°
+        let angle = Math.atan2(y - center.y, x - center.x) * 180 / Math.PI + 90;
+        if (snap) angle = Math.round(angle / 15) * 15;
+        if (angle > 180) angle -= 360;
+        element.rotation = Math.round(angle * 10) / 10;
+    }
+
+    showTransformReadout(text, e) {
+        const overlay = document.getElementById('canvasOverlay');
+        if (!overlay) return;
+        
+        if (!this.transformReadout) {
+            this.transformReadout = document.createElement('div');
+            this.transformReadout.className = 'transform-readout';
+            overlay.appendChild(this.transformReadout);
+        }
+        const overlayRect = overlay.getBoundingClientRect();
+        this.transformReadout.textContent = text;
+        this.transformReadout.style.left = `${e.clientX - overlayRect.left + 16}px`;
+        this.transformReadout.style.top = `${e.clientY - overlayRect.top + 16}px`;
+    }
+
+    hideTransformReadout() {
+        if (this.transformReadout) {
+            this.transformReadout.remove();
+            this.transformReadout = null;
+        }
+    }
+
+    selectElement(element) {
+        this.setSelection(element ? this.getGroupMembers(element) : []);
+    }
+
+    // ===== MULTI-SELECTION =====
+
+    setSelection(elements) {
+        this.selectedElements = [...new Set(elements)];
+        this.selectedElement = this.selectedElements.length === 1 ? this.selectedElements[0] : null;
+        this.render();
+        this.updatePropertiesPanel();
+    }
+
+    // Drop selected elements that are no longer on the canvas
+    pruneSelection() {
+        const remaining = this.selectedElements.filter(el => this.elements.includes(el));
+        if (remaining.length !== this.selectedElements.length) this.setSelection(remaining);
+    }
+
+    restoreSelection(ids) {
+        this.selectedElements = this.elements.filter(el => ids.includes(el.id));
+        this.selectedElement = this.selectedElements.length === 1 ? this.selectedElements[0] : null;
+    }
+
+    getGroupMembers(element) {
+        if (!element.groupId) return [element];
+        return this.elements.filter(el => el.groupId === element.groupId);
+    }
+
+    toggleElementSelection(element, members) {
+        if (this.selectedElements.includes(element)) {
+            this.setSelection(this.selectedElements.filter(el => !members.includes(el)));
+        } else {
+            this.setSelection([...this.selectedElements, ...members]);
+        }
+    }
+
+    // Hidden elements are included so they can be shown again from the selection panel
+    selectAllElements() {
+        this.setSelection(this.getSortedElements());
+    }
+
+    showElements(elements) {
+        const hidden = elements.filter(el => el.visible === false);
+        if (hidden.length === 0) return;
+        
+        hidden.forEach(el => { el.visible = true; });
+        this.render();
+        this.updatePropertiesPanel();
+        this.saveState(hidden.length === 1 ? 'Showed element' : `Showed ${hidden.length} elements`);
+    }
+
+    // Box around the footprint of the elements, rotation and frames included
+    getSelectionBounds(elements = this.selectedElements) {
+        return this.layoutEngine.getPositionsBounds(elements);
+    }
+
+    getMarqueeRect(marquee) {
+        return {
+            x: Math.min(marquee.startX, marquee.x),
+            y: Math.min(marquee.startY, marquee.y),
+            width: Math.abs(marquee.x - marquee.startX),
+            height: Math.abs(marquee.y - marquee.startY)
+        };
+    }
+
+    // Anything the marquee touches is selected, together with the rest of its group.
+    // A click on empty canvas without a drag adds nothing.
+    finishMarquee() {
+        const rect = this.getMarqueeRect(this.marquee);
+        const base = this.marquee.base;
+        const isClick = Math.max(rect.width, rect.height) < 4 / this.zoom;
+        this.marquee = null;
+        
+        const touched = isClick ? [] : this.getSortedElements().filter(element => {
+            if (element.visible === false) return false;
+            const bounds = this.getSelectionBounds([element]);
+            return bounds.x <= rect.x + rect.width && bounds.x + bounds.width >= rect.x &&
+                bounds.y <= rect.y + rect.height && bounds.y + bounds.height >= rect.y;
+        });
+        this.setSelection([...base, ...touched.flatMap(element => this.getGroupMembers(element))]);
+    }
+
+    // Group handles act on the box around the selection; each element keeps its own
+    // proportions and only its position, size and rotation follow the box
+    startGroupTransform() {
+        const bounds = this.getSelectionBounds();
+        this.transformStart = { ...bounds, rotation: 0 };
+        this.groupBox = { ...bounds, rotation: 0 };
+        this.groupStart = new Map(this.selectedElements
+            .filter(el => !el.locked)
+            .map(el => [el, { ...el, shadow: el.shadow ? { ...el.shadow } : null }]));
+    }
+
+    transformGroup(x, y, e) {
+        const box = this.groupBox;
+        const start = this.transformStart;
+        
+        if (this.resizeHandle.name === 'rotate') {
+            this.rotateFromHandle(box, x, y, e.shiftKey);
+            const center = this.getElementCenter(box);
+            this.groupStart.forEach((initial, element) => {
+                const initialCenter = this.getElementCenter(initial);
+                const rotated = this.fromElementSpace(initialCenter.x - center.x, initialCenter.y - center.y, center, box.rotation);
+                let rotation = (initial.rotation || 0) + box.rotation;
+                if (rotation > 180) rotation -= 360;
+                if (rotation <= -180) rotation += 360;
+                element.rotation = Math.round(rotation * 10) / 10;
+                element.x = rotated.x - element.width / 2;
+                element.y = rotated.y - element.height / 2;
+            });
+            this.showTransformReadout(`${Math.round(box.rotation)}°`, e);
+            return;
+        }
+        
+        this.resizeFromHandle(box, this.resizeHandle, x, y, false);
+        const scale = box.width / start.width;
+        this.groupStart.forEach((initial, element) => {
+            const initialCenter = this.getElementCenter(initial);
+            const width = initial.width * scale;
+            const height = initial.height * scale;
+            // Borders, frames, shadows and blur grow with the group like type does
+            Object.assign(element, this.scaleElementDetails(initial, scale));
+            element.width = width;
+            element.height = height;
+            element.x = box.x + (initialCenter.x - start.x) * scale - width / 2;
+            element.y = box.y + (initialCenter.y - start.y) * scale - height / 2;
+        });
+        this.showTransformReadout(`${Math.round(scale * 100)}%`, e);
+    }
+
+    finishGroupTransform() {
+        const count = this.groupStart.size;
+        const changed = [...this.groupStart].some(([el, initial]) =>
+            el.x !== initial.x || el.y !== initial.y || el.width !== initial.width || el.rotation !== initial.rotation
+        );
+        if (changed) {
+            this.saveState(this.resizeHandle.name === 'rotate' ? `Rotated ${count} elements` : `Resized ${count} elements`);
+        }
+        this.groupBox = null;
+        this.groupStart = null;
+        this.hideTransformReadout();
+        this.updatePropertiesPanel();
+    }
+
+    groupSelectedElements() {
+        if (this.selectedElements.length < 2) return;
+        
+        const groupId = `group-${Date.now()}`;
+        this.selectedElements.forEach(el => { el.groupId = groupId; });
+        this.updatePropertiesPanel();
+        this.saveState(`Grouped ${this.selectedElements.length} elements`);
+    }
+
+    ungroupSelectedElements() {
+        const grouped = this.selectedElements.filter(el => el.groupId);
+        if (grouped.length === 0) return;
+        
+        grouped.forEach(el => { delete el.groupId; });
+        this.updatePropertiesPanel();
+        this.saveState('Ungrouped elements');
+    }
+
+    // Groups inside the selection align and distribute as one block
+    getSelectionUnits() {
+        const units = new Map();
+        this.selectedElements.forEach(el => {
+            const key = el.groupId || el;
+            if (!units.has(key)) units.set(key, []);
+            units.get(key).push(el);
+        });
+        return [...units.values()].map(members => ({
+            members,
+            bounds: this.getSelectionBounds(members),
+            locked: members.some(el => el.locked)
+        }));
+    }
+
+    moveUnit(unit, dx, dy) {
+        unit.members.forEach(el => {
+            el.x += dx;
+            el.y += dy;
+        });
+    }
+
+    // Alignment only moves elements, so every image keeps its size and proportions
+    alignSelectedElements(edge) {
+        const target = this.getSelectionBounds();
+        this.getSelectionUnits().filter(unit => !unit.locked).forEach(unit => {
+            const bounds = unit.bounds;
+            const offsets = {
+                left: [target.x - bounds.x, 0],
+                center: [target.x + target.width / 2 - (bounds.x + bounds.width / 2), 0],
+                right: [target.x + target.width - (bounds.x + bounds.width), 0],
+                top: [0, target.y - bounds.y],
+                middle: [0, target.y + target.height / 2 - (bounds.y + bounds.height / 2)],
+                bottom: [0, target.y + target.height - (bounds.y + bounds.height)]
+            };
+            this.moveUnit(unit, ...offsets[edge]);
+        });
+        this.render();
+        this.saveState(`Aligned ${edge}`);
+    }
+
+    // The outermost elements stay put and the gaps between the rest are evened out
+    distributeSelectedElements(axis) {
+        const units = this.getSelectionUnits();
+        if (units.length < 3) return;
+        
+        const [position, size] = axis === 'horizontal' ? ['x', 'width'] : ['y', 'height'];
+        units.sort((a, b) => (a.bounds[position] + a.bounds[size] / 2) - (b.bounds[position] + b.bounds[size] / 2));
+        const first = units[0].bounds;
+        const last = units[units.length - 1].bounds;
+        const occupied = units.reduce((sum, unit) => sum + unit.bounds[size], 0);
+        const gap = (last[position] + last[size] - first[position] - occupied) / (units.length - 1);
+        
+        let cursor = first[position];
+        units.forEach(unit => {
+            const delta = cursor - unit.bounds[position];
+            if (!unit.locked) this.moveUnit(unit, axis === 'horizontal' ? delta : 0, axis === 'horizontal' ? 0 : delta);
+            cursor += unit.bounds[size] + gap;
+        });
+        this.render();
+        this.saveState(`Distributed ${axis}ly`);
+    }
+
+    // Sizes follow the first selected element; setElementSize derives the other side
+    // from each element's own ratio so nothing is stretched
+    matchSelectedSizes(dimension) {
+        const [reference, ...others] = this.selectedElements;
+        others.filter(el => !el.locked).forEach(el => this.setElementSize(el, { [dimension]: reference[dimension] }));
+        this.render();
+        this.saveState(dimension === 'height' ? 'Matched heights' : 'Matched widths');
+    }
+
+    // ===== PROPERTIES PANEL =====
+
+    updatePropertiesPanel() {
+        const content = document.getElementById('propertiesContent');
+        if (!content) return;
+        
+        content.innerHTML = '';
+        const element = this.selectedElement;
+        
+        if (!element && this.selectedElements.length > 1) {
+            this.buildSelectionProperties(content, this.selectedElements);
+            return;
+        }
+        
+        if (!element) {
+            content.innerHTML = '<p class="text-secondary">Select an element to edit properties</p>';
+            const hidden = this.elements.filter(el => el.visible === false);
+            if (hidden.length > 0) {
+                const row = document.createElement('div');
+                row.className = 'property-buttons';
+                const showHidden = document.createElement('button');
+                showHidden.className = 'btn btn--sm btn--outline';
+                showHidden.textContent = `Show ${hidden.length} hidden element${hidden.length === 1 ? '' : 's'}`;
+                showHidden.addEventListener('click', () => this.showElements(hidden));
+                row.appendChild(showHidden);
+                content.appendChild(row);
+            }
+            return;
+        }
+        
+        this.buildElementProperties(content, element);
+        
+        if (element.type === 'image') {
+            this.buildImageProperties(content, element);
+            this.buildStyleProperties(content, element);
+            this.buildAdjustmentProperties(content, element);
+        } else if (element.type === 'text') {
+            this.buildTextProperties(content, element);
+        }
+    }
+
+    buildElementProperties(container, element) {
+        const round = value => Math.round(value * 10) / 10;
+        const transform = this.createPropertyGroup(container, 'Transform');
+        
+        this.createPropertyControl(transform, 'X', {
+            value: round(element.x), historyLabel: 'Moved element',
+            onInput: value => { element.x = value; this.requestRender(); }
+        });
+        this.createPropertyControl(transform, 'Y', {
+            value: round(element.y), historyLabel: 'Moved element',
+            onInput: value => { element.y = value; this.requestRender(); }
+        });
+        
+        // Width and height are always linked, so edits can never distort an image
+        let heightControl;
+        const widthControl = this.createPropertyControl(transform, 'Width', {
+            value: round(element.width), min: 1, historyLabel: 'Resized element',
+            onInput: value => {
+                this.setElementSize(element, { width: value });
+                heightControl.value = round(element.height);
+            }
+        });
+        heightControl = this.createPropertyControl(transform, 'Height', {
+            value: round(element.height), min: 1, historyLabel: 'Resized element',
+            onInput: value => {
+                this.setElementSize(element, { height: value });
+                widthControl.value = round(element.width);
+            }
+        });
+        
+        this.createPropertyControl(transform, 'Rotation', {
+            value: round(element.rotation || 0), min: -180, max: 180, historyLabel: 'Rotated element',
+            onInput: value => { element.rotation = value; this.requestRender(); }
+        });
+        this.createPropertyControl(transform, 'Opacity', {
+            type: 'range', value: Math.round(element.opacity * 100), min: 0, max: 100, historyLabel: 'Changed opacity',
+            onInput: value => { element.opacity = value / 100; this.requestRender(); }
+        });
+        
+        const arrange = this.createPropertyGroup(container, 'Arrange');
+        const orderRow = document.createElement('div');
+        orderRow.className = 'property-buttons';
+        [
+            ['⤒', 'Bring to front', 'front'],
+            ['↑', 'Bring forward', 'forward'],
+            ['↓', 'Send backward', 'backward'],
+            ['⤓', 'Send to back', 'back']
+        ].forEach(([icon, title, action]) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn--sm btn--outline';
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', () => this.reorderElement(element, action));
+            orderRow.appendChild(button);
+        });
+        arrange.appendChild(orderRow);
+        
+        this.createPropertyControl(arrange, 'Locked', {
+            type: 'checkbox', value: element.locked,
+            historyLabel: 'Toggled lock',
+            onChange: value => { element.locked = value; }
+        });
+        this.createPropertyControl(arrange, 'Visible', {
+            type: 'checkbox', value: element.visible !== false,
+            historyLabel: 'Toggled visibility',
+            onChange: value => { element.visible = value; this.render(); }
+        });
+    }
+
+    buildSelectionProperties(container, elements) {
+        const addButtons = (group, buttons) => {
+            const row = document.createElement('div');
+            row.className = 'property-buttons';
+            buttons.forEach(([label, title, onClick, disabled]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn--sm btn--outline';
+                button.textContent = label;
+                button.title = title;
+                button.disabled = !!disabled;
+                button.addEventListener('click', onClick);
+                row.appendChild(button);
+            });
+            group.appendChild(row);
+        };
+        const groupIds = new Set(elements.map(el => el.groupId));
+        const isOneGroup = groupIds.size === 1 && !groupIds.has(undefined);
+        const units = this.getSelectionUnits().length;
+        
+        const selection = this.createPropertyGroup(container, 'Selection');
+        const summary = document.createElement('p');
+        summary.className = 'property-hint';
+        summary.textContent = `${elements.length} elements selected${isOneGroup ? ' (group)' : ''}. Shift-click to add or remove, Ctrl-click to pick one out of a group.`;
+        selection.appendChild(summary);
+        addButtons(selection, [
+            ['Group', 'Group (Ctrl+G)', () => this.groupSelectedElements(), isOneGroup],
+            ['Ungroup', 'Ungroup (Ctrl+Shift+G)', () => this.ungroupSelectedElements(), !elements.some(el => el.groupId)],
+            ['Show', 'Show hidden elements', () => this.showElements(elements), !elements.some(el => el.visible === false)]
+        ]);
+        
+        const align = this.createPropertyGroup(container, 'Align');
+        addButtons(align, [
+            ['Left', 'Align left edges', () => this.alignSelectedElements('left')],
+            ['Center', 'Align horizontal centers', () => this.alignSelectedElements('center')],
+            ['Right', 'Align right edges', () => this.alignSelectedElements('right')]
+        ]);
+        addButtons(align, [
+            ['Top', 'Align top edges', () => this.alignSelectedElements('top')],
+            ['Middle', 'Align vertical centers', () => this.alignSelectedElements('middle')],
+            ['Bottom', 'Align bottom edges', () => this.alignSelectedElements('bottom')]
+        ]);
+        
+        const distribute = this.createPropertyGroup(container, 'Distribute');
+        addButtons(distribute, [
+            ['Horizontally', 'Even horizontal gaps', () => this.distributeSelectedElements('horizontal'), units < 3],
+            ['Vertically', 'Even vertical gaps', () => this.distributeSelectedElements('vertical'), units < 3]
+        ]);
+        
+        const size = this.createPropertyGroup(container, 'Match Size');
+        addButtons(size, [
+            ['Widths', 'Match the first selected element\'s width', () => this.matchSelectedSizes('width')],
+            ['Heights', 'Match the first selected element\'s height', () => this.matchSelectedSizes('height')]
+        ]);
+        const hint = document.createElement('p');
+        hint.className = 'property-hint';
+        hint.textContent = 'Sizes follow the first selected element. Images keep their proportions.';
+        size.appendChild(hint);
+    }
+
+    buildImageProperties(container, element) {
+        const imageData = element.imageData;
+        if (!imageData) return;
+        
+        const source = this.createPropertyGroup(container, 'Image');
+        const category = this.categorizeByAspectRatio(imageData);
+        const sourceRect = this.getImageSourceRect(element);
+        const scale = element.width / sourceRect.width;
+        const shown = (sourceRect.width * sourceRect.height) / (imageData.originalWidth * imageData.originalHeight);
+        
+        [
+            ['Source', imageData.name],
+            ['Native', `${imageData.originalWidth}×${imageData.originalHeight}`],
+            ['Ratio', `${category.name} (${this.calculateAspectRatio(imageData).toFixed(2)})`],
+            ['Scale', `${Math.round(scale * 100)}%`],
+            ...(element.fit === 'crop' ? [['Shown', `${Math.round(shown * 100)}% of image`]] : [])
+        ].forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'property-row';
+            const labelElement = document.createElement('label');
+            labelElement.textContent = label;
+            const valueElement = document.createElement('span');
+            valueElement.className = 'property-value';
+            valueElement.textContent = value;
+            valueElement.title = value;
+            row.appendChild(labelElement);
+            row.appendChild(valueElement);
+            source.appendChild(row);
+        });
+        
+        const fit = this.createPropertyGroup(container, 'Fit');
+        this.createPropertyControl(fit, 'Mode', {
+            type: 'select', value: element.fit || 'scale', historyLabel: 'Changed image fit',
+            options: [['scale', 'Scale (whole image)'], ['crop', 'Crop to fill']],
+            onChange: value => this.setImageFit(element, value)
+        });
+        
+        if (element.fit === 'crop') {
+            const hint = document.createElement('p');
+            hint.className = 'property-hint';
+            hint.textContent = 'Shift-drag a handle to reshape the frame. Drag the ⊕ marker onto what should stay in view.';
+            fit.appendChild(hint);
+        
+            const focalRow = document.createElement('div');
+            focalRow.className = 'property-buttons';
+            const autoFocal = document.createElement('button');
+            autoFocal.className = 'btn btn--sm btn--outline';
+            autoFocal.textContent = 'Auto focal point';
+            autoFocal.disabled = !element.focalPoint;
+            autoFocal.addEventListener('click', () => {
+                delete element.focalPoint;
+                this.render();
+                this.updatePropertiesPanel();
+                this.saveState('Reset focal point');
+            });
+            focalRow.appendChild(autoFocal);
+            fit.appendChild(focalRow);
+        }
+    }
+
+    // Resize from one dimension, deriving the other from the element's own ratio
+    setElementSize(element, { width, height }) {
+        const ratio = element.type === 'image' && element.imageData && element.fit !== 'crop'
+            ? this.calculateAspectRatio(element.imageData)
+            : element.width / element.height;
+        
+        if (width !== undefined) {
+            height = width / ratio;
+        } else {
+            width = height * ratio;
+        }
+        if (width < 1 || height < 1) return;
+        
+        if (element.type === 'text') {
+            // Text scales through its typography so it re-measures consistently
+            const scale = width / element.width;
+            Object.assign(element, this.scaleElementDetails(element, scale));
+            element.width = width;
+            element.height = height;
+            this.measureTextElement(element);
+        } else {
+            element.width = width;
+            element.height = height;
+        }
+        this.render();
+    }
+
+    reorderElement(element, action) {
+        const sortedElements = this.getSortedElements();
+        const index = sortedElements.indexOf(element);
+        sortedElements.splice(index, 1);
+        
+        const targets = {
+            front: sortedElements.length,
+            forward: Math.min(sortedElements.length, index + 1),
+            backward: Math.max(0, index - 1),
+            back: 0
+        };
+        sortedElements.splice(targets[action], 0, element);
+        
+        // Renumber so stacking order is explicit and stable
+        sortedElements.forEach((el, i) => { el.zIndex = i; });
+        this.render();
+        this.saveState(action === 'front' || action === 'forward' ? 'Brought element forward' : 'Sent element backward');
+    }
+
+    createPropertyGroup(container, title) {
+        const group = document.createElement('div');
+        group.className = 'property-group';
+        const heading = document.createElement('h4');
+        heading.textContent = title;
+        group.appendChild(heading);
+        container.appendChild(group);
+        return group;
+    }
+
+    // Build a labelled control. onInput runs live while editing; the history entry
+    // is only recorded once the change is committed so one drag is one undo step.
+    createPropertyControl(group, label, options) {
+        const row = document.createElement('div');
+        row.className = 'property-row';
+        const labelElement = document.createElement('label');
+        labelElement.textContent = label;
+        row.appendChild(labelElement);
+        
+        let control;
+        if (options.type === 'select') {
+            control = document.createElement('select');
+            options.options.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                control.appendChild(option);
+            });
+        } else if (options.type === 'textarea') {
+            control = document.createElement('textarea');
+            control.rows = 3;
+        } else {
+            control = document.createElement('input');
+            control.type = options.type || 'number';
+            if (options.min !== undefined) control.min = options.min;
+            if (options.max !== undefined) control.max = options.max;
+            if (options.step !== undefined) control.step = options.step;
+        }
+        
+        if (control.type !== 'color') control.className = 'form-control';
+        if (control.type === 'checkbox') {
+            control.checked = !!options.value;
+        } else {
+            control.value = options.value;
+        }
+        
+        const readValue = () => {
+            if (control.type === 'checkbox') return control.checked;
+            if (control.type === 'number' || control.type === 'range') return parseFloat(control.value) || 0;
+            return control.value;
+        };
+        
+        if (options.onInput) {
+            control.addEventListener('input', () => options.onInput(readValue()));
+        }
+        control.addEventListener('change', () => {
+            if (options.onChange) options.onChange(readValue());
+            if (options.historyLabel) this.saveState(options.historyLabel);
+        });
+        
+        row.appendChild(control);
+        group.appendChild(row);
+        return control;
+    }
+
+    buildTextProperties(container, element) {
+        const update = (changes) => this.updateTextElement(element, changes);
+        const text = this.createPropertyGroup(container, 'Text');
+        
+        this.createPropertyControl(text, 'Content', {
+            type: 'textarea', value: element.text, historyLabel: 'Edited text',
+            onInput: value => update({ text: value || ' ' })
+        });
+        this.createPropertyControl(text, 'Font', {
+            type: 'select', value: element.fontFamily, historyLabel: 'Changed font',
+            options: this.availableFonts.map(font => [font, font]),
+            onInput: value => update({ fontFamily: value })
+        });
+        this.createPropertyControl(text, 'Size', {
+            value: element.fontSize, min: 8, max: 1000, historyLabel: 'Changed font size',
+            onInput: value => update({ fontSize: Math.max(8, value) })
+        });
+        this.createPropertyControl(text, 'Weight', {
+            type: 'select', value: element.fontWeight, historyLabel: 'Changed font weight',
+            options: [[300, 'Light'], [400, 'Regular'], [500, 'Medium'], [600, 'Semibold'], [700, 'Bold'], [900, 'Black']],
+            onInput: value => update({ fontWeight: parseInt(value) })
+        });
+        this.createPropertyControl(text, 'Color', {
+            type: 'color', value: element.color, historyLabel: 'Changed text color',
+            onInput: value => update({ color: value })
+        });
+        this.createPropertyControl(text, 'Align', {
+            type: 'select', value: element.textAlign, historyLabel: 'Changed text alignment',
+            options: [['left', 'Left'], ['center', 'Center'], ['right', 'Right']],
+            onInput: value => update({ textAlign: value })
+        });
+        this.createPropertyControl(text, 'Line height', {
+            value: element.lineHeight, min: 0.5, max: 4, step: 0.05, historyLabel: 'Changed line height',
+            onInput: value => update({ lineHeight: Math.max(0.5, value) })
+        });
+        this.createPropertyControl(text, 'Spacing', {
+            value: element.letterSpacing, min: -20, max: 200, historyLabel: 'Changed letter spacing',
+            onInput: value => update({ letterSpacing: value })
+        });
+        
+        const outline = this.createPropertyGroup(container, 'Outline');
+        this.createPropertyControl(outline, 'Width', {
+            value: element.strokeWidth, min: 0, max: 100, historyLabel: 'Changed text outline',
+            onInput: value => update({ strokeWidth: Math.max(0, value) })
+        });
+        this.createPropertyControl(outline, 'Color', {
+            type: 'color', value: element.strokeColor, historyLabel: 'Changed text outline',
+            onInput: value => update({ strokeColor: value })
+        });
+        
+        this.buildShadowProperties(container, element, update, 'text shadow', { offsetX: 0, offsetY: 4, blur: 12, color: '#000000' });
+    }
+
+    // Shared by text and image elements; update receives { shadow } changes
+    buildShadowProperties(container, element, update, subject, defaults) {
+        const shadow = this.createPropertyGroup(container, 'Shadow');
+        const current = element.shadow || defaults;
+        const updateShadow = (changes) => update({ shadow: { ...current, ...element.shadow, ...changes } });
+        this.createPropertyControl(shadow, 'Enabled', {
+            type: 'checkbox', value: !!element.shadow, historyLabel: `Toggled ${subject}`,
+            onInput: value => update({ shadow: value ? { ...current } : null })
+        });
+        this.createPropertyControl(shadow, 'Color', {
+            type: 'color', value: this.toHexColor(current.color), historyLabel: `Changed ${subject}`,
+            onInput: value => updateShadow({ color: value })
+        });
+        this.createPropertyControl(shadow, 'Blur', {
+            value: current.blur, min: 0, max: 200, historyLabel: `Changed ${subject}`,
+            onInput: value => updateShadow({ blur: Math.max(0, value) })
+        });
+        this.createPropertyControl(shadow, 'Offset X', {
+            value: current.offsetX, min: -200, max: 200, historyLabel: `Changed ${subject}`,
+            onInput: value => updateShadow({ offsetX: value })
+        });
+        this.createPropertyControl(shadow, 'Offset Y', {
+            value: current.offsetY, min: -200, max: 200, historyLabel: `Changed ${subject}`,
+            onInput: value => updateShadow({ offsetY: value })
+        });
+    }
+
+    // <input type="color"> only accepts #rrggbb
+    toHexColor(color) {
+        if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+        const match = String(color).match(/\d+/g);
+        if (!match || match.length < 3) return '#000000';
+        return '#' + match.slice(0, 3).map(n => parseInt(n).toString(16).padStart(2, '0')).join('');
+    }
+
+    render() {
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+            this.renderFrame = null;
+        }
+        
+        this.clearCanvas();
+        this.renderBackground(this.ctx, this.canvas.width, this.canvas.height);
+        
+        this.getSortedElements().forEach(element => {
+            this.renderElement(element);
+        });
+        
+        if (this.previewMode && this.previewPositions) {
+            this.renderLayoutPreview();
+        }
+        
+        if (this.snapSettings.showGrid) {
+            this.renderGrid();
+        }
+        
+        if (this.selectedElement) {
+            this.renderSelection(this.selectedElement);
+        } else if (this.selectedElements.length > 1) {
+            this.renderGroupSelection(this.selectedElements);
+        }
+        
+        if (this.marquee) {
+            this.renderMarquee(this.marquee);
+        }
+        
+        this.renderGuides();
+        this.renderRulers();
+    }
+
+    // Pointer moves fire far more often than the screen refreshes, so drags,
+    // resizes and slider scrubbing draw at most once per frame
+    requestRender() {
+        if (this.renderFrame) return;
+        
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.render();
+        });
+    }
+
+    // Sort elements by zIndex for proper stacking
+    getSortedElements(elements = this.elements) {
+        return [...elements].sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+    }
+
+    renderBackground(ctx, width, height, background = this.background, originals = null) {
+        // Pixel-sized settings (tile size, blur) follow the output scale
+        const scale = Math.min(width / this.canvasWidth, height / this.canvasHeight);
+        const imageData = this.withOriginalImage(
+            background.imageId ? this.images.find(img => img.id === background.imageId) : null,
+            originals
+        );
+        
+        ctx.save();
+        switch (background.type) {
+            case 'transparent':
+                break;
+            case 'linear':
+            case 'radial':
+                ctx.fillStyle = this.createBackgroundGradient(ctx, width, height, background);
+                ctx.fillRect(0, 0, width, height);
+                break;
+            case 'image':
+                ctx.fillStyle = background.color;
+                ctx.fillRect(0, 0, width, height);
+                if (imageData && imageData.img) {
+                    this.drawBackgroundImage(ctx, imageData, width, height, background.fit, scale);
+                }
+                break;
+            case 'blur':
+                ctx.fillStyle = background.color;
+                ctx.fillRect(0, 0, width, height);
+                if (imageData && imageData.img) {
+                    // Overscan so the blur does not fade to the fill colour at the edges
+                    const overscan = background.blur * scale * 2;
+                    ctx.filter = `blur(${background.blur * scale}px)`;
+                    ctx.translate(-overscan, -overscan);
+                    this.drawBackgroundImage(ctx, imageData, width + overscan * 2, height + overscan * 2, 'cover', scale);
+                }
+                break;
+            default:
+                ctx.fillStyle = background.color;
+                ctx.fillRect(0, 0, width, height);
+        }
+        ctx.restore();
+    }
+
+    // Angles follow CSS: 0° points up, 90° points right
+    createBackgroundGradient(ctx, width, height, background) {
+        let gradient;
+        if (background.type === 'radial') {
+            gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+        } else {
+            const angle = background.angle * Math.PI / 180;
+            const length = Math.abs(width * Math.sin(angle)) + Math.abs(height * Math.cos(angle));
+            const dx = Math.sin(angle) * length / 2;
+            const dy = -Math.cos(angle) * length / 2;
+            gradient = ctx.createLinearGradient(width / 2 - dx, height / 2 - dy, width / 2 + dx, height / 2 + dy);
+        }
+        
+        [...background.stops].sort((a, b) => a.offset - b.offset).forEach(stop => {
+            gradient.addColorStop(Math.max(0, Math.min(1, stop.offset)), stop.color);
+        });
+        return gradient;
+    }
+
+    drawBackgroundImage(ctx, imageData, width, height, fit, scale) {
+        const img = imageData.img;
+        const imageWidth = imageData.originalWidth;
+        const imageHeight = imageData.originalHeight;
+        
+        if (fit === 'tile') {
+            const tileWidth = imageWidth * scale;
+            const tileHeight = imageHeight * scale;
+            for (let y = 0; y < height; y += tileHeight) {
+                for (let x = 0; x < width; x += tileWidth) {
+                    ctx.drawImage(img, x, y, tileWidth, tileHeight);
+                }
+            }
+            return;
+        }
+        
+        // Cover fills and crops, contain letterboxes; both keep the image's ratio
+        const fitScale = fit === 'contain'
+            ? Math.min(width / imageWidth, height / imageHeight)
+            : Math.max(width / imageWidth, height / imageHeight);
+        const drawWidth = imageWidth * fitScale;
+        const drawHeight = imageHeight * fitScale;
+        ctx.drawImage(img, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    renderElement(element, ctx = this.ctx) {
+        if (element.visible === false) return;
+        
+        ctx.save();
+        ctx.globalAlpha = element.opacity;
+        
+        if (element.rotation) {
+            const center = this.getElementCenter(element);
+            ctx.translate(center.x, center.y);
+            ctx.rotate(element.rotation * Math.PI / 180);
+            ctx.translate(-center.x, -center.y);
+        }
+        
+        if (element.type === 'image' && element.imageData && element.imageData.img) {
+            this.renderImageElement(element, ctx);
+        } else if (element.type === 'text') {
+            this.renderTextElement(element, ctx);
+        }
+        
+        ctx.restore();
+    }
+
+    // The shadow is cast by the frame when there is one, so the photo on top stays crisp
+    renderImageElement(element, ctx) {
+        const frame = element.frame;
+        
+        ctx.save();
+        if (element.shadow) {
+            ctx.shadowColor = element.shadow.color;
+            ctx.shadowBlur = element.shadow.blur;
+            ctx.shadowOffsetX = element.shadow.offsetX;
+            ctx.shadowOffsetY = element.shadow.offsetY;
+        }
+        
+        if (frame) {
+            ctx.fillStyle = frame.color;
+            ctx.fillRect(
+                element.x - frame.width,
+                element.y - frame.width,
+                element.width + frame.width * 2,
+                element.height + frame.width + frame.bottom
+            );
+            ctx.shadowColor = 'transparent';
+        }
+        
+        if (element.style) {
+            this.renderStyledImage(element, ctx);
+        } else if (element.filters) {
+            ctx.drawImage(this.getAdjustedImageLayer(element), element.x, element.y, element.width, element.height);
+        } else {
+            this.drawImageContent(ctx, element, element.x, element.y, element.width, element.height);
+        }
+        ctx.restore();
+    }
+
+    drawImageContent(ctx, element, x, y, width, height) {
+        // Source rectangles are in original pixels; the drawn copy may be a proxy
+        const img = element.imageData.img;
+        const source = this.getImageSourceRect(element);
+        const sourceScale = img.width / element.imageData.originalWidth;
+        ctx.drawImage(
+            img,
+            source.x * sourceScale,
+            source.y * sourceScale,
+            source.width * sourceScale,
+            source.height * sourceScale,
+            x,
+            y,
+            width,
+            height
+        );
+    }
+
+    // Region of the image an element shows, in original pixels. Crop to fill shows the
+    // largest window with the element's own shape, centred on the focal point as far
+    // as the image edges allow; every other element shows the whole image.
+    getImageSourceRect(element) {
+        const { originalWidth, originalHeight } = element.imageData;
+        if (element.fit !== 'crop') return { x: 0, y: 0, width: originalWidth, height: originalHeight };
+        
+        const scale = Math.max(element.width / originalWidth, element.height / originalHeight);
+        const width = Math.min(originalWidth, element.width / scale);
+        const height = Math.min(originalHeight, element.height / scale);
+        const focal = this.getFocalPoint(element);
+        return {
+            x: Math.min(Math.max(focal.x * originalWidth - width / 2, 0), originalWidth - width),
+            y: Math.min(Math.max(focal.y * originalHeight - height / 2, 0), originalHeight - height),
+            width,
+            height
+        };
+    }
+
+    // A focal point placed by hand wins over the automatic guess
+    getFocalPoint(element) {
+        return element.focalPoint || element.imageData.focalPoint || { x: 0.5, y: 0.5 };
+    }
+
+    // The focal point becomes the image point under the pointer in the framing the
+    // drag started from, so the crop re-centres on it without chasing the pointer
+    moveFocalPoint(element, x, y) {
+        const start = this.transformStart;
+        const local = this.toElementSpace(x, y, start);
+        const source = this.getImageSourceRect(start);
+        const clamp = value => Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+        element.focalPoint = {
+            x: clamp((source.x + (local.x / start.width + 0.5) * source.width) / start.imageData.originalWidth),
+            y: clamp((source.y + (local.y / start.height + 0.5) * source.height) / start.imageData.originalHeight)
+        };
+    }
+
+    setImageFit(element, fit) {
+        if (fit === 'crop') {
+            element.fit = 'crop';
+        } else {
+            delete element.fit;
+            delete element.focalPoint;
+            // Back to the image's own proportions, keeping the width
+            this.setElementSize(element, { width: element.width });
+        }
+        this.render();
+        this.updatePropertiesPanel();
+    }
+
+    renderSelection(element) {
+        const ctx = this.ctx;
+        const center = this.getElementCenter(element);
+        const halfWidth = element.width / 2;
+        const halfHeight = element.height / 2;
+        const pixel = 1 / this.zoom;
+        
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.rotate((element.rotation || 0) * Math.PI / 180);
+        ctx.strokeStyle = '#1FB8CD';
+        ctx.lineWidth = 2 * pixel;
+        ctx.setLineDash([5 * pixel, 5 * pixel]);
+        
+        ctx.strokeRect(-halfWidth - 2 * pixel, -halfHeight - 2 * pixel, element.width + 4 * pixel, element.height + 4 * pixel);
+        
+        if (!element.locked) {
+            const handles = this.getTransformHandles(element);
+            const rotateHandle = handles.find(handle => handle.name === 'rotate');
+            const size = 8 * pixel;
+            
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(0, -halfHeight);
+            ctx.lineTo(rotateHandle.x, rotateHandle.y);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#ffffff';
+            ctx.lineWidth = 1.5 * pixel;
+            handles.forEach(handle => {
+                ctx.beginPath();
+                if (handle.name === 'rotate') {
+                    ctx.arc(handle.x, handle.y, size * 0.75, 0, Math.PI * 2);
+                } else if (handle.name === 'focal') {
+                    ctx.arc(handle.x, handle.y, size, 0, Math.PI * 2);
+                    ctx.moveTo(handle.x - size * 1.75, handle.y);
+                    ctx.lineTo(handle.x + size * 1.75, handle.y);
+                    ctx.moveTo(handle.x, handle.y - size * 1.75);
+                    ctx.lineTo(handle.x, handle.y + size * 1.75);
+                } else {
+                    ctx.rect(handle.x - size / 2, handle.y - size / 2, size, size);
+                }
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+        
+        ctx.restore();
+    }
+
+    // Each member gets a thin outline; the handles belong to the box around them all,
+    // which turns with the pointer while the group is being rotated
+    renderGroupSelection(elements) {
+        const ctx = this.ctx;
+        const pixel = 1 / this.zoom;
+        
+        ctx.save();
+        ctx.strokeStyle = '#1FB8CD';
+        ctx.lineWidth = pixel;
+        elements.forEach(element => {
+            const center = this.getElementCenter(element);
+            ctx.save();
+            ctx.translate(center.x, center.y);
+            ctx.rotate((element.rotation || 0) * Math.PI / 180);
+            ctx.strokeRect(-element.width / 2, -element.height / 2, element.width, element.height);
+            ctx.restore();
+        });
+        ctx.restore();
+        
+        const box = this.groupBox && this.resizeHandle.name === 'rotate'
+            ? this.groupBox
+            : { ...this.getSelectionBounds(elements), locked: elements.every(el => el.locked) };
+        this.renderSelection(box);
+    }
+
+    renderMarquee(marquee) {
+        const ctx = this.ctx;
+        const rect = this.getMarqueeRect(marquee);
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(31, 184, 205, 0.1)';
+        ctx.strokeStyle = '#1FB8CD';
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        ctx.restore();
+    }
+
+    clearCanvas() {
+        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        // Transparent backgrounds show the container's checkerboard instead
+        this.canvas.classList.toggle('canvas--transparent', this.background.type === 'transparent');
+    }
+
+    setZoom(newZoom) {
+        this.zoom = Math.max(0.1, Math.min(5, newZoom));
+        this.canvas.style.width = this.canvasWidth * this.zoom + 'px';
+        this.canvas.style.height = this.canvasHeight * this.zoom + 'px';
+        this.updateZoomDisplay();
+        this.renderRulers();
+    }
+
+    updateZoomDisplay() {
+        const zoomElement = document.getElementById('zoomLevel');
+        if (zoomElement) {
+            zoomElement.textContent = Math.round(this.zoom * 100) + '%';
+        }
+    }
+
+    fitToScreen() {
+        const container = document.getElementById('canvasContainer');
+        if (!container) return;
+        
+        const containerWidth = container.clientWidth - 40;
+        const containerHeight = container.clientHeight - 40;
+        
+        const scaleX = containerWidth / this.canvasWidth;
+        const scaleY = containerHeight / this.canvasHeight;
+        
+        this.setZoom(Math.min(scaleX, scaleY));
+    }
+
+    // Essential setup methods
     loadWallpaperSizes() {
         const sizeSelect = document.getElementById('canvasSizeSelect');
         const exportSizeSelect = document.getElementById('exportSizeSelect');
         
-        const sizes = [
-            {"name": "Desktop FHD", "width": 1920, "height": 1080},
-            {"name": "Desktop QHD", "width": 2560, "height": 1440},
-            {"name": "Desktop 4K", "width": 3840, "height": 2160},
-            {"name": "Mobile Portrait", "width": 1080, "height": 1920},
-            {"name": "Mobile iPhone", "width": 1170, "height": 2532},
-            {"name": "Tablet iPad", "width": 2048, "height": 2732},
-            {"name": "Ultrawide", "width": 3440, "height": 1440},
-            {"name": "Square", "width": 1080, "height": 1080}
+        const sizes = [
+            {"name": "Desktop FHD", "width": 1920, "height": 1080},
+            {"name": "Desktop QHD", "width": 2560, "height": 1440},
+            {"name": "Desktop 4K", "width": 3840, "height": 2160},
+            {"name": "Mobile Portrait", "width": 1080, "height": 1920},
+            {"name": "Mobile iPhone", "width": 1170, "height": 2532},
+            {"name": "Tablet iPad", "width": 2048, "height": 2732},
+            {"name": "Ultrawide", "width": 3440, "height": 1440},
+            {"name": "Square", "width": 1080, "height": 1080}
+        ];
+        this.wallpaperSizes = sizes;
+        this.aspectRatioPresets = [
+            {"name": "21:9 Ultrawide", "width": 2560, "height": 1080},
+            {"name": "32:9 Super Ultrawide", "width": 5120, "height": 1440},
+            {"name": "16:10 Widescreen", "width": 2560, "height": 1600},
+            {"name": "3:2 Laptop", "width": 2160, "height": 1440},
+            {"name": "4:3 Classic", "width": 2048, "height": 1536}
+        ];
+        
+        if (sizeSelect) {
+            sizes.forEach(size => {
+                const option = document.createElement('option');
+                option.value = `${size.width}x${size.height}`;
+                option.textContent = `${size.name} (${size.width}×${size.height})`;
+                sizeSelect.appendChild(option);
+            });
+            sizeSelect.value = '1920x1080';
+            this.loadCanvasSizePresets();
+        }
+
+        if (exportSizeSelect) {
+            sizes.forEach(size => {
+                const option = document.createElement('option');
+                option.value = `${size.width}x${size.height}`;
+                option.textContent = `${size.name} (${size.width}×${size.height})`;
+                exportSizeSelect.appendChild(option);
+            });
+        }
+        
+        this.loadBatchExportSizes();
+    }
+
+    loadGoogleFonts() {
+        this.availableFonts = [
+            "Roboto", "Open Sans", "Lato", "Montserrat", "Poppins",
+            "Source Sans Pro", "Raleway", "Ubuntu", "Nunito", "Playfair Display",
+            "Oswald", "Dancing Script", "Lobster", "Pacifico", "Comfortaa"
+        ];
+    }
+
+    setupModalEventListeners() {
+        // Basic modal setup - simplified for core functionality
+        const modals = ['exportModal', 'projectsModal', 'saveProjectModal', 'exportProjectModal', 'backgroundModal', 'templatesModal'];
+        
+        modals.forEach(modalId => {
+            const closeBtn = document.getElementById(`close${modalId.charAt(0).toUpperCase() + modalId.slice(1, -5)}Modal`);
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.hideModal(modalId));
+            }
+        });
+        
+        // Export modal
+        const cancelExport = document.getElementById('cancelExport');
+        const downloadExport = document.getElementById('downloadExport');
+        const exportQuality = document.getElementById('exportQuality');
+        const exportFormat = document.getElementById('exportFormat');
+        
+        if (cancelExport) cancelExport.addEventListener('click', () => this.hideModal('exportModal'));
+        if (downloadExport) downloadExport.addEventListener('click', this.exportWallpaper.bind(this));
+        if (exportQuality) {
+            exportQuality.addEventListener('input', (e) => {
+                const valueSpan = document.getElementById('qualityValue');
+                if (valueSpan) valueSpan.textContent = e.target.value + '%';
+            });
+        }
+        if (exportFormat) exportFormat.addEventListener('change', this.updateExportQualityState.bind(this));
+        this.loadExportFormats();
+        
+        // Project modals
+        const closeSaveModal = document.getElementById('closeSaveModal');
+        const cancelSave = document.getElementById('cancelSave');
+        const confirmSave = document.getElementById('confirmSave');
+        const projectNameInput = document.getElementById('projectNameInput');
+        const closeProjectsFooter = document.getElementById('closeProjectsFooter');
+        
+        if (closeSaveModal) closeSaveModal.addEventListener('click', () => this.hideModal('saveProjectModal'));
+        if (cancelSave) cancelSave.addEventListener('click', () => this.hideModal('saveProjectModal'));
+        if (confirmSave) confirmSave.addEventListener('click', this.saveProject.bind(this));
+        if (projectNameInput) {
+            projectNameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.saveProject();
+            });
+        }
+        if (closeProjectsFooter) closeProjectsFooter.addEventListener('click', () => this.hideModal('projectsModal'));
+        
+        const cancelExportProject = document.getElementById('cancelExportProject');
+        const confirmExportProject = document.getElementById('confirmExportProject');
+        const stripMetadataCheck = document.getElementById('stripMetadataCheck');
+        
+        if (cancelExportProject) cancelExportProject.addEventListener('click', () => this.hideModal('exportProjectModal'));
+        if (confirmExportProject) confirmExportProject.addEventListener('click', this.exportProjectFile.bind(this));
+        if (stripMetadataCheck) {
+            stripMetadataCheck.checked = this.stripMetadata;
+            stripMetadataCheck.addEventListener('change', (e) => {
+                this.stripMetadata = e.target.checked;
+                localStorage.setItem('wallpaperCreatorStripMetadata', String(this.stripMetadata));
+            });
+        }
+        
+        this.setupBackgroundModal();
+        
+        // Adjustments modal
+        const closeAdjustmentsModal = document.getElementById('closeAdjustmentsModal');
+        const cancelAdjustments = document.getElementById('cancelAdjustments');
+        const resetAdjustments = document.getElementById('resetAdjustments');
+        const applyAdjustments = document.getElementById('applyAdjustments');
+        
+        if (closeAdjustmentsModal) closeAdjustmentsModal.addEventListener('click', this.cancelBulkAdjustments.bind(this));
+        if (cancelAdjustments) cancelAdjustments.addEventListener('click', this.cancelBulkAdjustments.bind(this));
+        if (resetAdjustments) resetAdjustments.addEventListener('click', this.resetBulkAdjustments.bind(this));
+        if (applyAdjustments) applyAdjustments.addEventListener('click', this.applyBulkAdjustments.bind(this));
+        
+        // Templates modal
+        const cancelTemplate = document.getElementById('cancelTemplate');
+        const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+        
+        if (cancelTemplate) cancelTemplate.addEventListener('click', () => this.hideModal('templatesModal'));
+        if (saveTemplateBtn) saveTemplateBtn.addEventListener('click', this.saveCurrentAsTemplate.bind(this));
+        this.loadLayoutTemplates();
+        
+        // Batch export
+        const batchExportCheck = document.getElementById('batchExportCheck');
+        if (batchExportCheck) batchExportCheck.addEventListener('change', this.updateBatchExportState.bind(this));
+    }
+
+    showModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) modal.classList.remove('hidden');
+    }
+
+    hideModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) modal.classList.add('hidden');
+    }
+
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+        
+        const toast = document.createElement('div');
+        toast.className = `toast toast--${type}`;
+        
+        const icon = type === 'success' ? '✓' : type === 'error' ? '✕' : type === 'warning' ? '⚠' : 'ℹ';
+        
+        toast.innerHTML = `
+            <div class="toast-icon">${icon}</div>
+            <div class="toast-content">
+                <div class="toast-message"></div>
+            </div>
+            <button class="toast-close" onclick="this.parentElement.remove()">✕</button>
+        `;
+        // Messages can carry project and file names from imported files, so never parse them as markup
+        toast.querySelector('.toast-message').textContent = message;
+        
+        container.appendChild(toast);
+        
+        setTimeout(() => {
+            if (toast.parentElement) {
+                toast.remove();
+            }
+        }, 5000);
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-color-scheme');
+        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+        document.documentElement.setAttribute('data-color-scheme', newTheme);
+        localStorage.setItem('wallpaperCreatorTheme', newTheme);
+        this.showToast(`Switched to ${newTheme} theme`, 'success');
+    }
+
+    // ===== ELEMENT STYLES =====
+
+    getElementStyle(element) {
+        return { ...this.defaultElementStyle, ...element.style };
+    }
+
+    // Like adjustments, element.style keeps only values that differ from the defaults
+    setElementStyle(element, changes) {
+        const style = { ...element.style, ...changes };
+        Object.keys(this.defaultElementStyle).forEach(key => {
+            if (style[key] === this.defaultElementStyle[key]) delete style[key];
+        });
+        
+        if (Object.keys(style).length > 0) {
+            element.style = style;
+        } else {
+            delete element.style;
+        }
+    }
+
+    // Outline of the element's mask shape, shrunk by inset on every side. Circles are
+    // the largest circle centred in the element; the photo outside it is cropped away.
+    getElementShapePath(element, inset = 0) {
+        const style = this.getElementStyle(element);
+        const x = element.x + inset;
+        const y = element.y + inset;
+        const width = Math.max(0, element.width - inset * 2);
+        const height = Math.max(0, element.height - inset * 2);
+        const path = new Path2D();
+        
+        if (style.shape === 'circle') {
+            path.arc(x + width / 2, y + height / 2, Math.min(width, height) / 2, 0, Math.PI * 2);
+        } else if (style.shape === 'hexagon') {
+            [[0, 0.5], [0.25, 0], [0.75, 0], [1, 0.5], [0.75, 1], [0.25, 1]].forEach(([px, py]) => {
+                path.lineTo(x + px * width, y + py * height);
+            });
+            path.closePath();
+        } else {
+            const radius = Math.max(0, Math.min(style.radius - inset, width / 2, height / 2));
+            path.moveTo(x + radius, y);
+            path.arcTo(x + width, y, x + width, y + height, radius);
+            path.arcTo(x + width, y + height, x, y + height, radius);
+            path.arcTo(x, y + height, x, y, radius);
+            path.arcTo(x, y, x + width, y, radius);
+            path.closePath();
+        }
+        return path;
+    }
+
+    // Local point, relative to the element centre, inside the element's mask shape
+    isPointInShape(element, local) {
+        const halfWidth = element.width / 2;
+        const halfHeight = element.height / 2;
+        const dx = Math.abs(local.x);
+        const dy = Math.abs(local.y);
+        if (dx > halfWidth || dy > halfHeight) return false;
+        
+        const style = this.getElementStyle(element);
+        if (style.shape === 'circle') {
+            return Math.hypot(dx, dy) <= Math.min(halfWidth, halfHeight);
+        }
+        if (style.shape === 'hexagon') {
+            return dx <= halfWidth - (halfWidth / 2) * (dy / halfHeight);
+        }
+        
+        // Only the rounded corners themselves are outside the shape
+        const radius = Math.min(style.radius, halfWidth, halfHeight);
+        const cornerX = dx - (halfWidth - radius);
+        const cornerY = dy - (halfHeight - radius);
+        return cornerX <= 0 || cornerY <= 0 || Math.hypot(cornerX, cornerY) <= radius;
+    }
+
+    // Styled images are clipped to their shape. Anything drawn under a clip loses its
+    // shadow, so the shape casts it first; the padding shows as a mat around the photo
+    // and the border is stroked on top so it stays even along curves and corners.
+    renderStyledImage(element, ctx) {
+        const style = this.getElementStyle(element);
+        const outline = this.getElementShapePath(element);
+        const inset = style.borderWidth + style.padding;
+        
+        if (style.padding > 0 || (element.shadow && !element.frame)) {
+            ctx.fillStyle = style.paddingColor;
+            ctx.fill(outline);
+            ctx.shadowColor = 'transparent';
+        }
+        
+        // The photo fills the box inside the padding; a few pixels are cropped rather
+        // than letting the inset squash it
+        const content = {
+            ...element,
+            x: element.x + inset,
+            y: element.y + inset,
+            width: Math.max(1, element.width - inset * 2),
+            height: Math.max(1, element.height - inset * 2),
+            fit: inset > 0 ? 'crop' : element.fit
+        };
+        
+        ctx.save();
+        ctx.clip(this.getElementShapePath(element, inset));
+        if (element.filters) {
+            ctx.drawImage(this.getAdjustedImageLayer(element, content), content.x, content.y, content.width, content.height);
+        } else {
+            this.drawImageContent(ctx, content, content.x, content.y, content.width, content.height);
+        }
+        ctx.restore();
+        
+        if (style.borderWidth > 0) {
+            ctx.save();
+            ctx.clip(outline);
+            ctx.lineWidth = style.borderWidth * 2;
+            ctx.strokeStyle = style.borderColor;
+            ctx.stroke(outline);
+            ctx.restore();
+        }
+    }
+
+    // The selected collage style is applied to every element a layout or template places
+    applyCollageStyle(element) {
+        const preset = this.collageStyles.find(p => p.id === this.autoFitSettings.collageStyle);
+        if (!preset || !preset.style) return;
+        
+        const scale = Math.min(this.canvasWidth, this.canvasHeight) / 1080;
+        const style = { ...preset.style };
+        ['radius', 'borderWidth', 'padding'].forEach(key => {
+            if (style[key]) style[key] = Math.round(style[key] * scale * 10) / 10;
+        });
+        this.setElementStyle(element, style);
+        
+        // Layout shadows such as Organic Stack's are kept
+        if (preset.shadow && !element.shadow) {
+            element.shadow = { offsetX: 0, offsetY: 6 * scale, blur: 18 * scale, color: 'rgba(0, 0, 0, 0.35)' };
+        }
+    }
+
+    buildStyleProperties(container, element) {
+        const style = this.getElementStyle(element);
+        const update = (changes) => {
+            this.setElementStyle(element, changes);
+            this.requestRender();
+        };
+        const group = this.createPropertyGroup(container, 'Style');
+        
+        this.createPropertyControl(group, 'Shape', {
+            type: 'select', value: style.shape, historyLabel: 'Changed image shape',
+            options: [['rect', 'Rectangle'], ['circle', 'Circle'], ['hexagon', 'Hexagon']],
+            onChange: value => {
+                update({ shape: value });
+                this.updatePropertiesPanel();
+            }
+        });
+        if (style.shape === 'rect') {
+            this.createPropertyControl(group, 'Corner radius', {
+                value: style.radius, min: 0, max: 1000, historyLabel: 'Changed corner radius',
+                onInput: value => update({ radius: Math.max(0, value) })
+            });
+        }
+        this.createPropertyControl(group, 'Border', {
+            value: style.borderWidth, min: 0, max: 200, historyLabel: 'Changed image border',
+            onInput: value => update({ borderWidth: Math.max(0, value) })
+        });
+        this.createPropertyControl(group, 'Border color', {
+            type: 'color', value: style.borderColor, historyLabel: 'Changed image border',
+            onInput: value => update({ borderColor: value })
+        });
+        this.createPropertyControl(group, 'Padding', {
+            value: style.padding, min: 0, max: 200, historyLabel: 'Changed image padding',
+            onInput: value => update({ padding: Math.max(0, value) })
+        });
+        this.createPropertyControl(group, 'Padding color', {
+            type: 'color', value: style.paddingColor, historyLabel: 'Changed image padding',
+            onInput: value => update({ paddingColor: value })
+        });
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'property-buttons';
+        const reset = document.createElement('button');
+        reset.className = 'btn btn--sm btn--outline';
+        reset.textContent = 'Remove style';
+        reset.disabled = !element.style;
+        reset.addEventListener('click', () => {
+            delete element.style;
+            this.render();
+            this.updatePropertiesPanel();
+            this.saveState('Removed image style');
+        });
+        buttons.appendChild(reset);
+        group.appendChild(buttons);
+        
+        this.buildShadowProperties(container, element, changes => {
+            Object.assign(element, changes);
+            if (!element.shadow) delete element.shadow;
+            this.requestRender();
+        }, 'image shadow', { offsetX: 0, offsetY: 6, blur: 18, color: 'rgba(0, 0, 0, 0.35)' });
+    }
+
+    // ===== IMAGE ADJUSTMENTS =====
+
+    getImageAdjustments(element) {
+        const adjustments = {};
+        this.imageAdjustments.forEach(adjustment => {
+            adjustments[adjustment.key] = adjustment.default;
+        });
+        return { ...adjustments, ...element.filters };
+    }
+
+    setImageAdjustments(element, changes) {
+        const filters = { ...element.filters, ...changes };
+        this.imageAdjustments.forEach(adjustment => {
+            if (filters[adjustment.key] === adjustment.default) delete filters[adjustment.key];
+        });
+        
+        if (Object.keys(filters).length > 0) {
+            element.filters = filters;
+        } else {
+            delete element.filters;
+        }
+    }
+
+    // Everything except temperature and vignette maps onto a canvas filter
+    getCanvasFilter(adjustments) {
+        return [
+            `brightness(${adjustments.brightness}%)`,
+            `contrast(${adjustments.contrast}%)`,
+            `saturate(${adjustments.saturation}%)`,
+            `hue-rotate(${adjustments.hue}deg)`,
+            `grayscale(${adjustments.grayscale}%)`,
+            `sepia(${adjustments.sepia}%)`,
+            `blur(${adjustments.blur}px)`
+        ].join(' ');
+    }
+
+    // Adjusted elements are drawn into a layer of their own so the temperature tint
+    // and the vignette only touch the image's pixels. The layer is cached until the
+    // element's size, crop, source or adjustments change, so dragging stays cheap.
+    getAdjustedImageLayer(element, content = element) {
+        const width = Math.max(1, Math.round(content.width));
+        const height = Math.max(1, Math.round(content.height));
+        const img = element.imageData.img;
+        const key = JSON.stringify([width, height, element.filters, this.getImageSourceRect(content)]);
+        
+        const cached = this.adjustedImageCache.get(element);
+        if (cached && cached.key === key && cached.img === img) return cached.canvas;
+        
+        const adjustments = this.getImageAdjustments(element);
+        const canvas = this.createWorkCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.filter = this.getCanvasFilter(adjustments);
+        if (adjustments.blur > 0) {
+            // Blurring against the transparent surroundings would leave a see-through
+            // fringe, so the blur samples a copy whose edge pixels run on past the frame
+            const margin = Math.ceil(adjustments.blur * 2);
+            const padded = this.createWorkCanvas(width + margin * 2, height + margin * 2);
+            this.drawImageContent(padded.getContext('2d'), content, margin, margin, width, height);
+            this.extendCanvasEdges(padded, margin, width, height);
+            ctx.drawImage(padded, -margin, -margin);
+        } else {
+            this.drawImageContent(ctx, content, 0, 0, width, height);
+        }
+        ctx.filter = 'none';
+        ctx.globalCompositeOperation = 'source-atop';
+        
+        if (adjustments.temperature) {
+            const strength = Math.abs(adjustments.temperature) / 100 * 0.3;
+            ctx.fillStyle = adjustments.temperature > 0
+                ? `rgba(255, 150, 50, ${strength})`
+                : `rgba(60, 140, 255, ${strength})`;
+            ctx.fillRect(0, 0, width, height);
+        }
+        
+        if (adjustments.vignette) {
+            const radius = Math.hypot(width, height) / 2;
+            const gradient = ctx.createRadialGradient(width / 2, height / 2, radius * 0.35, width / 2, height / 2, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            gradient.addColorStop(1, `rgba(0, 0, 0, ${adjustments.vignette / 100 * 0.85})`);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+        
+        this.adjustedImageCache.set(element, { key, img, canvas });
+        return canvas;
+    }
+
+    // Stretch the outermost row and column of the width × height area at (margin, margin)
+    // across the margin around it, corners included
+    extendCanvasEdges(canvas, margin, width, height) {
+        const ctx = canvas.getContext('2d');
+        const right = margin + width - 1;
+        const bottom = margin + height - 1;
+        [
+            [margin, margin, width, 1, margin, 0, width, margin],
+            [margin, bottom, width, 1, margin, bottom + 1, width, margin],
+            [margin, margin, 1, height, 0, margin, margin, height],
+            [right, margin, 1, height, right + 1, margin, margin, height],
+            [margin, margin, 1, 1, 0, 0, margin, margin],
+            [right, margin, 1, 1, right + 1, 0, margin, margin],
+            [margin, bottom, 1, 1, 0, bottom + 1, margin, margin],
+            [right, bottom, 1, 1, right + 1, bottom + 1, margin, margin]
+        ].forEach(args => ctx.drawImage(canvas, ...args));
+    }
+
+    // One range control per adjustment; shared by the properties panel and the bulk modal
+    buildAdjustmentControls(group, adjustments, onInput, historyLabel) {
+        return this.imageAdjustments.map(adjustment => this.createPropertyControl(group, adjustment.label, {
+            type: 'range',
+            value: adjustments[adjustment.key],
+            min: adjustment.min,
+            max: adjustment.max,
+            step: adjustment.step,
+            historyLabel,
+            onInput: value => onInput({ [adjustment.key]: value })
+        }));
+    }
+
+    buildAdjustmentProperties(container, element) {
+        const group = this.createPropertyGroup(container, 'Adjustments');
+        this.buildAdjustmentControls(group, this.getImageAdjustments(element), changes => {
+            this.setImageAdjustments(element, changes);
+            this.requestRender();
+        }, 'Adjusted image');
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'property-buttons';
+        const reset = document.createElement('button');
+        reset.className = 'btn btn--sm btn--outline';
+        reset.textContent = 'Reset adjustments';
+        reset.disabled = !element.filters;
+        reset.addEventListener('click', () => {
+            delete element.filters;
+            this.render();
+            this.updatePropertiesPanel();
+            this.saveState('Reset adjustments');
+        });
+        buttons.appendChild(reset);
+        group.appendChild(buttons);
+    }
+
+    // Canvas elements showing any of the images selected in the gallery
+    getSelectedImageElements() {
+        return this.elements.filter(el => el.type === 'image' && this.selectedImages.has(el.imageId));
+    }
+
+    // Bulk edits preview live on the canvas; Cancel puts every element back
+    showAdjustmentsModal() {
+        const targets = this.getSelectedImageElements();
+        if (targets.length === 0) {
+            this.showToast('Add the selected images to the canvas first', 'warning');
+            return;
+        }
+        
+        this.adjustmentSession = {
+            targets,
+            original: targets.map(el => el.filters),
+            draft: this.getImageAdjustments(targets[0])
+        };
+        this.renderAdjustmentsModal();
+        this.showModal('adjustmentsModal');
+    }
+
+    renderAdjustmentsModal() {
+        const container = document.getElementById('adjustmentControls');
+        const session = this.adjustmentSession;
+        if (!container || !session) return;
+        
+        container.innerHTML = '';
+        const title = document.getElementById('adjustmentsTarget');
+        if (title) title.textContent = `Applies to ${session.targets.length} element(s) of ${this.selectedImages.size} selected image(s)`;
+        
+        this.buildAdjustmentControls(container, session.draft, changes => {
+            Object.assign(session.draft, changes);
+            session.targets.forEach(el => this.setImageAdjustments(el, session.draft));
+            this.requestRender();
+        });
+    }
+
+    resetBulkAdjustments() {
+        const session = this.adjustmentSession;
+        if (!session) return;
+        
+        session.draft = this.getImageAdjustments({});
+        session.targets.forEach(el => this.setImageAdjustments(el, session.draft));
+        this.renderAdjustmentsModal();
+        this.render();
+    }
+
+    applyBulkAdjustments() {
+        const session = this.adjustmentSession;
+        if (!session) return;
+        
+        this.adjustmentSession = null;
+        this.hideModal('adjustmentsModal');
+        this.updatePropertiesPanel();
+        this.saveState(`Adjusted ${session.targets.length} images`);
+        this.showToast(`Adjusted ${session.targets.length} image(s)`, 'success');
+    }
+
+    cancelBulkAdjustments() {
+        const session = this.adjustmentSession;
+        this.adjustmentSession = null;
+        this.hideModal('adjustmentsModal');
+        if (!session) return;
+        
+        session.targets.forEach((el, index) => {
+            if (session.original[index]) {
+                el.filters = session.original[index];
+            } else {
+                delete el.filters;
+            }
+        });
+        this.render();
+    }
+
+    // ===== EXPORT =====
+
+    loadExportFormats() {
+        const formatSelect = document.getElementById('exportFormat');
+        if (!formatSelect) return;
+        
+        // Browsers silently fall back to PNG for MIME types they cannot encode
+        const probe = document.createElement('canvas');
+        probe.width = 1;
+        probe.height = 1;
+        
+        this.exportFormats = [
+            {value: 'png', name: 'PNG', mime: 'image/png', extension: 'png', lossy: false},
+            {value: 'jpg', name: 'JPG', mime: 'image/jpeg', extension: 'jpg', lossy: true},
+            {value: 'webp', name: 'WebP', mime: 'image/webp', extension: 'webp', lossy: true},
+            {value: 'avif', name: 'AVIF', mime: 'image/avif', extension: 'avif', lossy: true}
+        ].filter(format => probe.toDataURL(format.mime).startsWith(`data:${format.mime}`));
+        
+        formatSelect.innerHTML = '';
+        this.exportFormats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.value;
+            option.textContent = format.name;
+            formatSelect.appendChild(option);
+        });
+        this.updateExportQualityState();
+    }
+
+    getExportFormat(value) {
+        return this.exportFormats.find(format => format.value === value) || this.exportFormats[0];
+    }
+
+    updateExportQualityState() {
+        const formatSelect = document.getElementById('exportFormat');
+        const qualitySlider = document.getElementById('exportQuality');
+        if (!formatSelect || !qualitySlider) return;
+        
+        qualitySlider.disabled = !this.getExportFormat(formatSelect.value).lossy;
+    }
+
+    getExportSize(value) {
+        if (!value || value === 'current') {
+            return {name: 'Canvas', width: this.canvasWidth, height: this.canvasHeight};
+        }
+        
+        const [width, height] = value.split('x').map(n => parseInt(n));
+        const preset = (this.wallpaperSizes || []).find(size => size.width === width && size.height === height);
+        return {name: preset ? preset.name : 'Custom', width, height};
+    }
+
+    // Rescale element geometry from the canvas to a target size. Elements are scaled
+    // uniformly and the composition is centred, so no image is ever distorted.
+    rescaleElementsForSize(elements, width, height) {
+        const scale = Math.min(width / this.canvasWidth, height / this.canvasHeight);
+        const offsetX = (width - this.canvasWidth * scale) / 2;
+        const offsetY = (height - this.canvasHeight * scale) / 2;
+        
+        return elements.map(element => ({
+            ...element,
+            ...this.scaleElementDetails(element, scale),
+            x: offsetX + element.x * scale,
+            y: offsetY + element.y * scale,
+            width: element.width * scale,
+            height: element.height * scale
+        }));
+    }
+
+    // Frames, shadows and text metrics scale with the element
+    scaleElementDetails(element, scale) {
+        return this.layoutEngine.scaleElementDetails(element, scale);
+    }
+
+    // Draw a composition onto a fresh offscreen canvas. originals maps image ids to
+    // full-resolution sources that replace the proxies (see renderExportCanvas).
+    renderOffscreen(elements, width, height, format, originals = null) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        
+        // Formats without alpha would turn transparent pixels black
+        if (format.value === 'jpg') {
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, width, height);
+        }
+        
+        this.renderBackground(ctx, width, height, this.background, originals);
+        this.getSortedElements(elements).forEach(element => {
+            if (element.type === 'image') {
+                element = { ...element, imageData: this.withOriginalImage(element.imageData, originals) };
+            }
+            this.renderElement(element, ctx);
+        });
+        
+        return canvas;
+    }
+
+    withOriginalImage(imageData, originals) {
+        if (!imageData || !originals || !originals.has(imageData.id)) return imageData;
+        return { ...imageData, img: originals.get(imageData.id) };
+    }
+
+    // Exports render from the original files. Only images drawn larger than their
+    // proxy are decoded, one at a time, and the decoded copies are released as
+    // soon as the canvas is drawn.
+    async renderExportCanvas(elements, width, height, format) {
+        const upscaled = new Map();
+        const addIfUpscaled = (imageData, drawnWidth) => {
+            if (imageData && imageData.blob && imageData.img.width < imageData.originalWidth && drawnWidth > imageData.img.width) {
+                upscaled.set(imageData.id, imageData);
+            }
+        };
+        
+        // Crops draw a window of the image, so the whole image is effectively drawn larger
+        elements.filter(el => el.type === 'image' && el.imageData).forEach(el => {
+            const source = this.getImageSourceRect(el);
+            addIfUpscaled(el.imageData, el.width / source.width * el.imageData.originalWidth);
+        });
+        const backgroundImage = this.background.imageId ? this.images.find(img => img.id === this.background.imageId) : null;
+        if (backgroundImage && ['image', 'blur'].includes(this.background.type)) {
+            addIfUpscaled(backgroundImage, backgroundImage.originalWidth * Math.max(
+                width / backgroundImage.originalWidth, height / backgroundImage.originalHeight
+            ));
+        }
+        
+        const originals = new Map();
+        try {
+            for (const imageData of upscaled.values()) {
+                const original = await this.decodeImageFile(imageData.blob, imageData.metadata);
+                if (original) originals.set(imageData.id, original);
+            }
+            return this.renderOffscreen(elements, width, height, format, originals);
+        } finally {
+            originals.forEach(source => source.close());
+        }
+    }
+
+    canvasToBlob(canvas, format, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error(`Unable to encode ${format.name}`));
+                }
+            }, format.mime, format.lossy ? quality : undefined);
+        });
+    }
+
+    async renderExportBlob(size, format, quality) {
+        const elements = this.rescaleElementsForSize(this.elements, size.width, size.height);
+        const canvas = await this.renderExportCanvas(elements, size.width, size.height, format);
+        return this.canvasToBlob(canvas, format, quality);
+    }
+
+    slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'wallpaper';
+    }
+
+    getExportFilename(size, format) {
+        const projectName = this.currentProject && this.currentProject.name ? this.currentProject.name : 'wallpaper';
+        return `${this.slugify(projectName)}-${this.slugify(size.name)}-${size.width}x${size.height}.${format.extension}`;
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async exportWallpaper() {
+        const batchExportCheck = document.getElementById('batchExportCheck');
+        if (batchExportCheck && batchExportCheck.checked) {
+            return this.exportBatch();
+        }
+        
+        const sizeSelect = document.getElementById('exportSizeSelect');
+        const formatSelect = document.getElementById('exportFormat');
+        const qualitySlider = document.getElementById('exportQuality');
+        
+        const size = this.getExportSize(sizeSelect ? sizeSelect.value : 'current');
+        const format = this.getExportFormat(formatSelect ? formatSelect.value : 'png');
+        const quality = qualitySlider ? parseInt(qualitySlider.value) / 100 : 0.9;
+        
+        this.showLoadingOverlay(`Rendering ${size.width}×${size.height} ${format.name}...`);
+        
+        try {
+            const blob = await this.renderExportBlob(size, format, quality);
+            const filename = this.getExportFilename(size, format);
+            this.downloadBlob(blob, filename);
+            this.hideModal('exportModal');
+            this.showToast(`Exported ${filename}`, 'success');
+        } catch (error) {
+            this.showToast(`Export failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    // ===== BATCH EXPORT =====
+
+    loadBatchExportSizes() {
+        const sizeList = document.getElementById('batchSizeList');
+        if (!sizeList) return;
+        
+        sizeList.innerHTML = '';
+        (this.wallpaperSizes || []).forEach(size => {
+            const label = document.createElement('label');
+            label.className = 'form-label batch-size-option';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = `${size.width}x${size.height}`;
+            checkbox.checked = true;
+            
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${size.name} (${size.width}×${size.height})`));
+            sizeList.appendChild(label);
+        });
+    }
+
+    updateBatchExportState() {
+        const batchExportCheck = document.getElementById('batchExportCheck');
+        const batchSizeGroup = document.getElementById('batchSizeGroup');
+        const sizeSelect = document.getElementById('exportSizeSelect');
+        const downloadExport = document.getElementById('downloadExport');
+        const isBatch = batchExportCheck && batchExportCheck.checked;
+        
+        if (batchSizeGroup) batchSizeGroup.classList.toggle('hidden', !isBatch);
+        if (sizeSelect) sizeSelect.disabled = isBatch;
+        if (downloadExport) downloadExport.textContent = isBatch ? 'Download ZIP' : 'Download';
+    }
+
+    getBatchExportSizes() {
+        const checked = document.querySelectorAll('#batchSizeList input[type="checkbox"]:checked');
+        return Array.from(checked).map(checkbox => this.getExportSize(checkbox.value));
+    }
+
+    // Re-run the current layout for another target size. Images keep their element
+    // properties; anything the layout does not place is rescaled proportionally.
+    async buildElementsForSize(size) {
+        const imageElements = this.elements.filter(el => el.type === 'image' && el.imageData);
+        const template = this.getCurrentTemplate();
+        
+        // A template whose definition is gone (e.g. a project opened elsewhere) can only be scaled
+        if ((!this.currentLayout && !template) || (this.currentTemplateId && !template) || imageElements.length === 0) {
+            return {elements: this.rescaleElementsForSize(this.elements, size.width, size.height), layout: 'scaled'};
+        }
+        
+        const images = [];
+        imageElements.forEach(el => {
+            if (!images.includes(el.imageData)) images.push(el.imageData);
+        });
+        
+        let layout;
+        let positions;
+        if (template) {
+            layout = `template:${template.id}`;
+            positions = this.computeTemplatePositions(template, images, size);
+        } else {
+            layout = this.currentLayout;
+            ({ positions } = await this.runLayoutJob(layout, images, size));
+            if (!this.validatePositions(positions)) {
+                layout = 'proportional-grid';
+                ({ positions } = await this.runLayoutJob(layout, images, size));
+            }
+        }
+        
+        const placed = [];
+        const laidOut = positions.map((pos, index) => {
+            const source = imageElements.find(el => el.imageId === pos.imageData.id);
+            placed.push(source);
+            return {
+                ...source,
+                ...this.scaleElementDetails(source, pos.width / source.width),
+                x: pos.x,
+                y: pos.y,
+                width: pos.width,
+                height: pos.height,
+                zIndex: source.zIndex !== undefined ? source.zIndex : index
+            };
+        });
+        // Text, and images a template had no slot for, keep their relative placement
+        const others = this.rescaleElementsForSize(
+            this.elements.filter(el => !placed.includes(el)), size.width, size.height
+        );
+        
+        return {elements: [...laidOut, ...others], layout};
+    }
+
+    async exportBatch() {
+        const sizes = this.getBatchExportSizes();
+        if (sizes.length === 0) {
+            this.showToast('Select at least one wallpaper size', 'warning');
+            return;
+        }
+        
+        const formatSelect = document.getElementById('exportFormat');
+        const qualitySlider = document.getElementById('exportQuality');
+        const format = this.getExportFormat(formatSelect ? formatSelect.value : 'png');
+        const quality = qualitySlider ? parseInt(qualitySlider.value) / 100 : 0.9;
+        
+        const zip = new ZipWriter();
+        const manifest = {
+            generator: 'Wallpaper Creator',
+            createdAt: new Date().toISOString(),
+            source: {width: this.canvasWidth, height: this.canvasHeight},
+            layout: this.currentTemplateId ? `template:${this.currentTemplateId}` : this.currentLayout || 'manual',
+            format: format.value,
+            quality: format.lossy ? quality : null,
+            settings: {...this.autoFitSettings},
+            files: []
+        };
+        
+        try {
+            for (let i = 0; i < sizes.length; i++) {
+                const size = sizes[i];
+                this.showLoadingOverlay(`Rendering ${size.name} (${i + 1}/${sizes.length})...`);
+                
+                const {elements, layout} = await this.buildElementsForSize(size);
+                const canvas = await this.renderExportCanvas(elements, size.width, size.height, format);
+                const blob = await this.canvasToBlob(canvas, format, quality);
+                const filename = `${this.slugify(size.name)}-${size.width}x${size.height}.${format.extension}`;
+                
+                await zip.addFile(filename, blob);
+                manifest.files.push({
+                    file: filename,
+                    preset: size.name,
+                    width: size.width,
+                    height: size.height,
+                    layout,
+                    elements: elements.length
+                });
+            }
+            
+            await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+            
+            const projectName = this.currentProject && this.currentProject.name ? this.currentProject.name : 'wallpaper';
+            const filename = `${this.slugify(projectName)}-wallpapers.zip`;
+            this.downloadBlob(zip.toBlob(), filename);
+            this.hideModal('exportModal');
+            this.showToast(`Exported ${sizes.length} wallpapers to ${filename}`, 'success');
+        } catch (error) {
+            this.showToast(`Batch export failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    // ===== PROJECT STORAGE =====
+
+    openProjectDatabase() {
+        if (!this.projectDatabase) {
+            this.projectDatabase = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                
+                const request = indexedDB.open('wallpaperCreator', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('projects')) {
+                        db.createObjectStore('projects', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('drafts')) {
+                        db.createObjectStore('drafts', { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.projectDatabase;
+    }
+
+    async dbRequest(storeName, mode, operation) {
+        const db = await this.openProjectDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Images are stored as Blobs; data URLs would be a third larger and strings
+    // of that size are what push localStorage past its quota
+    async getImageBlob(imageData) {
+        if (imageData.blob) return imageData.blob;
+        const response = await fetch(imageData.src);
+        return response.blob();
+    }
+
+    async serializeProject() {
+        const images = await Promise.all(this.images.map(async imageData => ({
+            id: imageData.id,
+            name: imageData.name,
+            originalWidth: imageData.originalWidth,
+            originalHeight: imageData.originalHeight,
+            blob: await this.getImageBlob(imageData)
+        })));
+        
+        return {
+            version: PROJECT_FILE_VERSION,
+            canvasWidth: this.canvasWidth,
+            canvasHeight: this.canvasHeight,
+            background: JSON.parse(JSON.stringify(this.background)),
+            autoFitSettings: { ...this.autoFitSettings },
+            currentLayout: this.currentLayout,
+            currentTemplateId: this.currentTemplateId,
+            elements: this.serializeElements(this.elements),
+            images
+        };
+    }
+
+    createProjectThumbnail(maxWidth = 320) {
+        const scale = Math.min(1, maxWidth / this.canvasWidth);
+        const width = Math.round(this.canvasWidth * scale);
+        const height = Math.round(this.canvasHeight * scale);
+        const format = this.getExportFormat('jpg');
+        const elements = this.rescaleElementsForSize(this.elements, width, height);
+        
+        return this.renderOffscreen(elements, width, height, format).toDataURL(format.mime, 0.7);
+    }
+
+    loadImageFromBlob(blob) {
+        return new Promise((resolve, reject) => {
+            const src = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => resolve({ img, src });
+            img.onerror = () => {
+                URL.revokeObjectURL(src);
+                reject(new Error('Unable to decode stored image'));
+            };
+            img.src = src;
+        });
+    }
+
+    async loadProjectData(data) {
+        data = this.migrateProjectData(data);
+        // Decoded one at a time so only a single full-size image is in memory at once
+        const images = [];
+        for (const record of data.images) {
+            const { img, src, width, height, metadata } = await this.createImageProxy(record.blob);
+            images.push({
+                id: record.id,
+                src,
+                name: record.name,
+                blob: record.blob,
+                img,
+                // Decoded upright, so projects saved before EXIF orientation was applied are corrected
+                originalWidth: width,
+                originalHeight: height,
+                metadata,
+                focalPoint: this.detectFocalPoint(img)
+            });
+        }
+        
+        this.images.forEach(imageData => this.releaseImageData(imageData));
+        
+        this.images = images;
+        this.currentImageId = images.reduce((max, img) => Math.max(max, img.id), 0);
+        this.selectedImages.clear();
+        this.elements = this.restoreElements(data.elements);
+        this.selectedElement = null;
+        this.selectedElements = [];
+        this.background = { ...this.createDefaultBackground(), ...data.background };
+        this.currentLayout = data.currentLayout || null;
+        this.currentTemplateId = data.currentTemplateId || null;
+        Object.assign(this.autoFitSettings, data.autoFitSettings, { maintainRatio: true });
+        this.syncSettingsControls();
+        
+        this.canvasWidth = data.canvasWidth;
+        this.canvasHeight = data.canvasHeight;
+        this.syncCanvasSizeSelect();
+        
+        this.init();
+        this.refreshImageGallery();
+        this.render();
+        this.updatePropertiesPanel();
+        this.elements.filter(el => el.type === 'text').forEach(el => this.loadElementFont(el));
+        
+        // A loaded project starts a fresh history
+        this.history = [];
+        this.historyIndex = -1;
+        this.saveState('Opened project');
+    }
+
+    // Reflect autoFitSettings in the sidebar and advanced panel controls
+    syncSettingsControls() {
+        const settings = this.autoFitSettings;
+        const controls = [
+            ['allowStackingCheck', 'checked', settings.allowStacking],
+            ['minSizeSlider', 'value', settings.minImageSize, 'minSizeValue', settings.minImageSize + 'px'],
+            ['stackDirectionSelect', 'value', settings.stackDirection],
+            ['spacingSlider', 'value', settings.spacing, 'spacingValue', settings.spacing + 'px'],
+            ['marginSlider', 'value', settings.margin, 'marginValue', settings.margin + 'px'],
+            ['maxScaleSlider', 'value', settings.maxScaleDown, 'maxScaleValue', Math.round(settings.maxScaleDown * 100) + '%'],
+            ['balanceCompositionCheck', 'checked', settings.balanceComposition],
+            ['prioritizeLargeImagesCheck', 'checked', settings.prioritizeLargeImages],
+            ['fillCanvasCheck', 'checked', settings.fillCanvas],
+            ['cropToFillCheck', 'checked', settings.cropToFill],
+            ['collageStyleSelect', 'value', settings.collageStyle],
+            ['organicSeedInput', 'value', settings.organicSeed],
+            ['rotationJitterSlider', 'value', settings.rotationJitter, 'rotationJitterValue', settings.rotationJitter + '°'],
+            ['overlapSlider', 'value', settings.overlapAmount, 'overlapValue', Math.round(settings.overlapAmount * 100) + '%'],
+            ['maxCoveredSlider', 'value', settings.maxCoveredPercent, 'maxCoveredValue', settings.maxCoveredPercent + '%'],
+            ['polaroidFramesCheck', 'checked', settings.polaroidFrames],
+            ['dropShadowsCheck', 'checked', settings.dropShadows]
+        ];
+        
+        controls.forEach(([id, property, value, labelId, label]) => {
+            const control = document.getElementById(id);
+            if (control) control[property] = value;
+            const valueSpan = labelId ? document.getElementById(labelId) : null;
+            if (valueSpan) valueSpan.textContent = label;
+        });
+    }
+
+    showSaveProjectModal() {
+        if (this.elements.length === 0) {
+            this.showToast('Add something to the canvas before saving', 'warning');
+            return;
+        }
+        
+        const nameInput = document.getElementById('projectNameInput');
+        if (nameInput) {
+            nameInput.value = this.currentProject ? this.currentProject.name : '';
+        }
+        this.showModal('saveProjectModal');
+        if (nameInput) nameInput.focus();
+    }
+
+    async saveProject() {
+        const nameInput = document.getElementById('projectNameInput');
+        const name = (nameInput && nameInput.value.trim()) || 'My Wallpaper';
+        
+        // Saving under the current name overwrites; a new name creates a new project
+        const isUpdate = this.currentProject && this.currentProject.id && this.currentProject.name === name;
+        const now = Date.now();
+        
+        try {
+            const project = {
+                id: isUpdate ? this.currentProject.id : `project-${now}`,
+                name,
+                createdAt: isUpdate ? this.currentProject.createdAt : now,
+                updatedAt: now,
+                thumbnail: this.createProjectThumbnail(),
+                data: await this.serializeProject()
+            };
+            
+            await this.dbRequest('projects', 'readwrite', store => store.put(project));
+            this.currentProject = { id: project.id, name: project.name, createdAt: project.createdAt };
+            await this.discardAutoSaveDraft();
+            this.hideModal('saveProjectModal');
+            this.showToast(`Project "${name}" saved`, 'success');
+        } catch (error) {
+            this.showToast(`Could not save project: ${error.message}`, 'error');
+        }
+    }
+
+    async showProjectsModal() {
+        this.showModal('projectsModal');
+        await this.renderProjectsGrid();
+    }
+
+    async renderProjectsGrid() {
+        const grid = document.getElementById('projectsGrid');
+        if (!grid) return;
+        
+        let projects = [];
+        try {
+            projects = await this.dbRequest('projects', 'readonly', store => store.getAll());
+        } catch (error) {
+            const notice = document.createElement('p');
+            notice.className = 'text-secondary';
+            notice.textContent = `Projects are unavailable: ${error.message}`;
+            grid.replaceChildren(notice);
+            return;
+        }
+        
+        grid.innerHTML = '';
+        if (projects.length === 0) {
+            grid.innerHTML = '<p class="text-secondary">No saved projects yet</p>';
+            return;
+        }
+        
+        projects.sort((a, b) => b.updatedAt - a.updatedAt).forEach(project => {
+            const card = document.createElement('div');
+            card.className = 'project-card';
+            
+            const thumbnail = document.createElement('div');
+            thumbnail.className = 'project-thumbnail';
+            if (project.thumbnail) {
+                const img = document.createElement('img');
+                img.src = project.thumbnail;
+                img.alt = project.name;
+                thumbnail.appendChild(img);
+            } else {
+                thumbnail.textContent = 'No preview';
+            }
+            
+            const info = document.createElement('div');
+            info.className = 'project-info';
+            const name = document.createElement('div');
+            name.className = 'project-name';
+            name.textContent = project.name;
+            const date = document.createElement('div');
+            date.className = 'project-date';
+            date.textContent = `${project.data.canvasWidth}×${project.data.canvasHeight} · ${new Date(project.updatedAt).toLocaleString()}`;
+            info.appendChild(name);
+            info.appendChild(date);
+            
+            const actions = document.createElement('div');
+            actions.className = 'project-actions';
+            [
+                ['✏', 'Rename', () => this.renameProject(project)],
+                ['⧉', 'Duplicate', () => this.duplicateProject(project)],
+                ['🗑', 'Delete', () => this.deleteProject(project)]
+            ].forEach(([icon, title, action]) => {
+                const button = document.createElement('button');
+                button.className = 'project-action-btn';
+                button.innerHTML = icon;
+                button.title = title;
+                button.onclick = (e) => {
+                    e.stopPropagation();
+                    action();
+                };
+                actions.appendChild(button);
+            });
+            
+            card.appendChild(thumbnail);
+            card.appendChild(info);
+            card.appendChild(actions);
+            card.addEventListener('click', () => this.openProject(project.id));
+            grid.appendChild(card);
+        });
+    }
+
+    async openProject(projectId) {
+        this.showLoadingOverlay('Opening project...');
+        try {
+            const project = await this.dbRequest('projects', 'readonly', store => store.get(projectId));
+            if (!project) throw new Error('Project not found');
+            
+            await this.loadProjectData(project.data);
+            this.currentProject = { id: project.id, name: project.name, createdAt: project.createdAt };
+            await this.discardAutoSaveDraft();
+            this.hideModal('projectsModal');
+            this.showToast(`Opened "${project.name}"`, 'success');
+        } catch (error) {
+            this.showToast(`Could not open project: ${error.message}`, 'error');
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    async renameProject(project) {
+        const name = prompt('Rename project:', project.name);
+        if (!name || !name.trim() || name.trim() === project.name) return;
+        
+        const renamed = { ...project, name: name.trim(), updatedAt: Date.now() };
+        try {
+            await this.dbRequest('projects', 'readwrite', store => store.put(renamed));
+            if (this.currentProject && this.currentProject.id === project.id) {
+                this.currentProject.name = renamed.name;
+            }
+            this.renderProjectsGrid();
+        } catch (error) {
+            this.showToast(`Could not rename project: ${error.message}`, 'error');
+        }
+    }
+
+    async duplicateProject(project) {
+        const now = Date.now();
+        const copy = { ...project, id: `project-${now}`, name: `${project.name} (copy)`, createdAt: now, updatedAt: now };
+        try {
+            await this.dbRequest('projects', 'readwrite', store => store.put(copy));
+            this.showToast(`Duplicated "${project.name}"`, 'success');
+            this.renderProjectsGrid();
+        } catch (error) {
+            this.showToast(`Could not duplicate project: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteProject(project) {
+        if (!confirm(`Delete project "${project.name}"? This cannot be undone.`)) return;
+        
+        try {
+            await this.dbRequest('projects', 'readwrite', store => store.delete(project.id));
+            if (this.currentProject && this.currentProject.id === project.id) {
+                this.currentProject = null;
+            }
+            this.showToast(`Deleted "${project.name}"`, 'success');
+            this.renderProjectsGrid();
+        } catch (error) {
+            this.showToast(`Could not delete project: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== PROJECT FILES =====
+
+    isProjectFile(file) {
+        return file.name.toLowerCase().endsWith(PROJECT_FILE_EXTENSION);
+    }
+
+    // Upgrade project data one version at a time. Each step receives data written
+    // by version N and returns the version N + 1 shape.
+    migrateProjectData(data) {
+        const migrations = {
+            // v2 replaced the flat backgroundColor with a background description
+            1: data => {
+                const { backgroundColor, ...rest } = data;
+                return { ...rest, background: { ...this.createDefaultBackground(), color: backgroundColor || '#ffffff' } };
+            }
+        };
+        
+        let migrated = { ...data, version: data.version || 1 };
+        if (migrated.version > PROJECT_FILE_VERSION) {
+            throw new Error(`Project was saved by a newer version (v${migrated.version})`);
+        }
+        while (migrated.version < PROJECT_FILE_VERSION) {
+            migrated = { ...migrations[migrated.version](migrated), version: migrated.version + 1 };
+        }
+        return migrated;
+    }
+
+    blobToDataURL(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    showExportProjectModal() {
+        if (this.images.length === 0 && this.elements.length === 0) {
+            this.showToast('Nothing to export yet', 'warning');
+            return;
+        }
+        this.showModal('exportProjectModal');
+    }
+
+    async exportProjectFile() {
+        this.hideModal('exportProjectModal');
+        this.showLoadingOverlay('Packaging project file...');
+        try {
+            const { images, version, ...project } = await this.serializeProject();
+            const file = {
+                format: PROJECT_FILE_FORMAT,
+                version,
+                name: this.currentProject ? this.currentProject.name : 'My Wallpaper',
+                exportedAt: new Date().toISOString(),
+                project,
+                images: {}
+            };
+            
+            for (const image of images) {
+                file.images[image.id] = {
+                    name: image.name,
+                    originalWidth: image.originalWidth,
+                    originalHeight: image.originalHeight,
+                    data: await this.blobToDataURL(this.stripMetadata ? await this.stripImageMetadata(image.blob) : image.blob)
+                };
+            }
+            
+            const filename = `${this.slugify(file.name)}${PROJECT_FILE_EXTENSION}`;
+            this.downloadBlob(new Blob([JSON.stringify(file)], { type: 'application/json' }), filename);
+            this.showToast(`Exported ${filename}`, 'success');
+        } catch (error) {
+            this.showToast(`Project export failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    async importProjectFile(fileBlob) {
+        if (this.elements.length > 0 && !confirm('Replace the current canvas with this project?')) return;
+        
+        this.showLoadingOverlay('Importing project file...');
+        try {
+            let file;
+            try {
+                file = JSON.parse(await fileBlob.text());
+            } catch (error) {
+                throw new Error('File is not a valid project file');
+            }
+            if (!file || file.format !== PROJECT_FILE_FORMAT) {
+                throw new Error('File is not a Wallpaper Creator project');
+            }
+            
+            const images = await Promise.all(Object.keys(file.images || {}).map(async id => {
+                const image = file.images[id];
+                const response = await fetch(image.data);
+                return {
+                    id: parseInt(id),
+                    name: image.name,
+                    originalWidth: image.originalWidth,
+                    originalHeight: image.originalHeight,
+                    blob: await response.blob()
+                };
+            }));
+            
+            await this.loadProjectData({ ...file.project, version: file.version, images });
+            // Imported files become new projects rather than overwriting a stored one
+            this.currentProject = { id: null, name: file.name || 'Imported Wallpaper', createdAt: Date.now() };
+            this.showToast(`Imported "${this.currentProject.name}"`, 'success');
+        } catch (error) {
+            this.showToast(`Could not import project: ${error.message}`, 'error');
+        } finally {
+            this.hideLoadingOverlay();
+        }
+    }
+
+    // ===== AUTO-SAVE =====
+
+    async autoSave() {
+        // Cleared before serializing so edits made while the draft is written still count
+        this.hasUnsavedChanges = false;
+        try {
+            const draft = {
+                id: 'autosave',
+                savedAt: Date.now(),
+                project: this.currentProject,
+                data: await this.serializeProject()
+            };
+            await this.dbRequest('drafts', 'readwrite', store => store.put(draft));
+        } catch (error) {
+            // Auto-save is best effort; manual saves report their own errors
+            this.hasUnsavedChanges = true;
+        }
+    }
+
+    async checkForAutoSave() {
+        let draft;
+        try {
+            draft = await this.dbRequest('drafts', 'readonly', store => store.get('autosave'));
+        } catch (error) {
+            return;
+        }
+        if (!draft || draft.data.elements.length === 0) return;
+        
+        const savedAt = new Date(draft.savedAt).toLocaleString();
+        if (confirm(`Restore your last session from ${savedAt}?`)) {
+            this.showLoadingOverlay('Restoring last session...');
+            try {
+                await this.loadProjectData(draft.data);
+                this.currentProject = draft.project || null;
+                await this.discardAutoSaveDraft();
+                this.showToast('Last session restored', 'success');
+            } catch (error) {
+                this.showToast(`Could not restore session: ${error.message}`, 'error');
+            } finally {
+                this.hideLoadingOverlay();
+            }
+        } else {
+            try {
+                await this.dbRequest('drafts', 'readwrite', store => store.delete('autosave'));
+            } catch (error) {
+                this.showToast(`Could not discard the saved session: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    // The draft is redundant once the canvas matches a saved, opened or restored project
+    async discardAutoSaveDraft() {
+        this.hasUnsavedChanges = false;
+        try {
+            await this.dbRequest('drafts', 'readwrite', store => store.delete('autosave'));
+        } catch (error) {
+            // Best effort; a stale draft only costs one extra restore prompt
+        }
+    }
+
+    // ===== BACKGROUND =====
+
+    createDefaultBackground() {
+        return {
+            type: 'solid',
+            color: '#ffffff',
+            stops: [
+                { offset: 0, color: '#ffffff' },
+                { offset: 1, color: '#000000' }
+            ],
+            angle: 90,
+            imageId: null,
+            fit: 'cover',
+            blur: 40
+        };
+    }
+
+    setupBackgroundModal() {
+        const controls = {
+            backgroundType: ['change', value => { this.backgroundDraft.type = value; }],
+            backgroundColor: ['input', value => { this.backgroundDraft.color = value; }],
+            gradientAngle: ['input', value => { this.backgroundDraft.angle = parseInt(value); }],
+            backgroundImageSelect: ['change', value => { this.backgroundDraft.imageId = parseInt(value) || null; }],
+            backgroundFit: ['change', value => { this.backgroundDraft.fit = value; }],
+            backgroundBlurSelect: ['change', value => { this.backgroundDraft.imageId = parseInt(value) || null; }],
+            backgroundBlur: ['input', value => { this.backgroundDraft.blur = parseInt(value); }]
+        };
+        
+        Object.keys(controls).forEach(id => {
+            const control = document.getElementById(id);
+            const [eventName, update] = controls[id];
+            if (control) {
+                control.addEventListener(eventName, (e) => {
+                    update(e.target.value);
+                    this.updateBackgroundModal();
+                });
+            }
+        });
+        
+        const addGradientStop = document.getElementById('addGradientStop');
+        const uploadBackgroundImage = document.getElementById('uploadBackgroundImage');
+        const backgroundImageUpload = document.getElementById('backgroundImageUpload');
+        const applyBackground = document.getElementById('applyBackground');
+        const cancelBackground = document.getElementById('cancelBackground');
+        
+        if (addGradientStop) {
+            addGradientStop.addEventListener('click', () => {
+                this.backgroundDraft.stops.push({ offset: 0.5, color: '#888888' });
+                this.renderGradientStops();
+                this.updateBackgroundModal();
+            });
+        }
+        if (uploadBackgroundImage && backgroundImageUpload) {
+            uploadBackgroundImage.addEventListener('click', () => backgroundImageUpload.click());
+            backgroundImageUpload.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file || !file.type.startsWith('image/')) return;
+                
+                const imageData = await this.loadImage(file);
+                this.backgroundDraft.imageId = imageData.id;
+                this.populateBackgroundImageOptions();
+                this.updateBackgroundModal();
+            });
+        }
+        if (applyBackground) applyBackground.addEventListener('click', this.applyBackground.bind(this));
+        if (cancelBackground) cancelBackground.addEventListener('click', () => this.hideModal('backgroundModal'));
+    }
+
+    showBackgroundModal() {
+        this.backgroundDraft = JSON.parse(JSON.stringify(this.background));
+        
+        const values = {
+            backgroundType: this.backgroundDraft.type,
+            backgroundColor: this.backgroundDraft.color,
+            gradientAngle: this.backgroundDraft.angle,
+            backgroundFit: this.backgroundDraft.fit,
+            backgroundBlur: this.backgroundDraft.blur
+        };
+        Object.keys(values).forEach(id => {
+            const control = document.getElementById(id);
+            if (control) control.value = values[id];
+        });
+        
+        this.populateBackgroundImageOptions();
+        this.renderGradientStops();
+        this.updateBackgroundModal();
+        this.showModal('backgroundModal');
+    }
+
+    populateBackgroundImageOptions() {
+        const draft = this.backgroundDraft;
+        const canvasImageIds = new Set(this.elements.filter(el => el.type === 'image').map(el => el.imageId));
+        const fill = (selectId, images, emptyText) => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            
+            select.innerHTML = '';
+            if (images.length === 0) {
+                select.innerHTML = `<option value="">${emptyText}</option>`;
+                return;
+            }
+            images.forEach(imageData => {
+                const option = document.createElement('option');
+                option.value = imageData.id;
+                option.textContent = imageData.name;
+                select.appendChild(option);
+            });
+            select.value = images.some(img => img.id === draft.imageId) ? draft.imageId : images[0].id;
+        };
+        
+        fill('backgroundImageSelect', this.images, 'Upload an image');
+        fill('backgroundBlurSelect', this.images.filter(img => canvasImageIds.has(img.id)), 'No images on canvas');
+    }
+
+    renderGradientStops() {
+        const container = document.getElementById('gradientStops');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.backgroundDraft.stops.forEach((stop, index) => {
+            const row = document.createElement('div');
+            row.className = 'gradient-stop';
+            
+            const color = document.createElement('input');
+            color.type = 'color';
+            color.value = stop.color;
+            color.addEventListener('input', () => {
+                stop.color = color.value;
+                this.updateBackgroundModal();
+            });
+            
+            const offset = document.createElement('input');
+            offset.type = 'range';
+            offset.className = 'form-control';
+            offset.min = 0;
+            offset.max = 100;
+            offset.value = Math.round(stop.offset * 100);
+            offset.addEventListener('input', () => {
+                stop.offset = parseInt(offset.value) / 100;
+                this.updateBackgroundModal();
+            });
+            
+            const remove = document.createElement('button');
+            remove.className = 'btn btn--sm btn--outline';
+            remove.textContent = '✕';
+            remove.title = 'Remove stop';
+            // A gradient needs at least two stops
+            remove.disabled = this.backgroundDraft.stops.length <= 2;
+            remove.addEventListener('click', () => {
+                this.backgroundDraft.stops.splice(index, 1);
+                this.renderGradientStops();
+                this.updateBackgroundModal();
+            });
+            
+            row.appendChild(color);
+            row.appendChild(offset);
+            row.appendChild(remove);
+            container.appendChild(row);
+        });
+    }
+
+    updateBackgroundModal() {
+        const draft = this.backgroundDraft;
+        const visibility = {
+            solidColorGroup: ['solid', 'image', 'blur'].includes(draft.type),
+            gradientGroup: draft.type === 'linear' || draft.type === 'radial',
+            gradientAngleGroup: draft.type === 'linear',
+            backgroundImageGroup: draft.type === 'image',
+            backgroundBlurGroup: draft.type === 'blur'
+        };
+        Object.keys(visibility).forEach(id => {
+            const group = document.getElementById(id);
+            if (group) group.classList.toggle('hidden', !visibility[id]);
+        });
+        
+        // The select shows the first image when the draft has none picked yet
+        const selectId = draft.type === 'blur' ? 'backgroundBlurSelect' : 'backgroundImageSelect';
+        const imageSelect = document.getElementById(selectId);
+        if ((draft.type === 'image' || draft.type === 'blur') && imageSelect) {
+            draft.imageId = parseInt(imageSelect.value) || null;
+        }
+        
+        const angleValue = document.getElementById('gradientAngleValue');
+        const blurValue = document.getElementById('backgroundBlurValue');
+        if (angleValue) angleValue.textContent = `${draft.angle}°`;
+        if (blurValue) blurValue.textContent = `${draft.blur}px`;
+        
+        const preview = document.getElementById('backgroundPreview');
+        if (preview) {
+            const canvas = preview.querySelector('canvas') || preview.appendChild(document.createElement('canvas'));
+            canvas.width = 240;
+            canvas.height = Math.round(240 * this.canvasHeight / this.canvasWidth);
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            this.renderBackground(ctx, canvas.width, canvas.height, draft);
+        }
+    }
+
+    applyBackground() {
+        if ((this.backgroundDraft.type === 'image' || this.backgroundDraft.type === 'blur') && !this.backgroundDraft.imageId) {
+            this.showToast('Choose an image for the background first', 'warning');
+            return;
+        }
+        
+        this.background = this.backgroundDraft;
+        this.backgroundDraft = null;
+        this.render();
+        this.saveState('Changed background');
+        this.hideModal('backgroundModal');
+    }
+
+    // ===== LAYOUT TEMPLATES =====
+
+    // Slots are fractions of the area inside the margin, so templates scale to any canvas
+    loadLayoutTemplates() {
+        this.layoutTemplates = [
+            {id: 'hero-left', name: 'Hero Left', slots: [
+                {x: 0, y: 0, w: 0.62, h: 1},
+                {x: 0.62, y: 0, w: 0.38, h: 0.5},
+                {x: 0.62, y: 0.5, w: 0.38, h: 0.5}
+            ]},
+            {id: 'hero-top', name: 'Hero Top', slots: [
+                {x: 0, y: 0, w: 1, h: 0.6},
+                {x: 0, y: 0.6, w: 1 / 3, h: 0.4},
+                {x: 1 / 3, y: 0.6, w: 1 / 3, h: 0.4},
+                {x: 2 / 3, y: 0.6, w: 1 / 3, h: 0.4}
+            ]},
+            {id: 'triptych', name: 'Triptych', slots: [
+                {x: 0, y: 0, w: 1 / 3, h: 1},
+                {x: 1 / 3, y: 0, w: 1 / 3, h: 1},
+                {x: 2 / 3, y: 0, w: 1 / 3, h: 1}
+            ]},
+            {id: 'grid-2x2', name: 'Grid 2×2', slots: [
+                {x: 0, y: 0, w: 0.5, h: 0.5},
+                {x: 0.5, y: 0, w: 0.5, h: 0.5},
+                {x: 0, y: 0.5, w: 0.5, h: 0.5},
+                {x: 0.5, y: 0.5, w: 0.5, h: 0.5}
+            ]},
+            {id: 'grid-3x3', name: 'Grid 3×3', slots: [0, 1, 2, 3, 4, 5, 6, 7, 8].map(i => ({
+                x: (i % 3) / 3, y: Math.floor(i / 3) / 3, w: 1 / 3, h: 1 / 3
+            }))},
+            {id: 'mosaic', name: 'Mosaic', slots: [
+                {x: 0, y: 0, w: 0.4, h: 0.6},
+                {x: 0.4, y: 0, w: 0.35, h: 0.4},
+                {x: 0.75, y: 0, w: 0.25, h: 0.4},
+                {x: 0.4, y: 0.4, w: 0.6, h: 0.6},
+                {x: 0, y: 0.6, w: 0.2, h: 0.4},
+                {x: 0.2, y: 0.6, w: 0.2, h: 0.4}
+            ]},
+            {id: 'centerpiece', name: 'Centerpiece', slots: [
+                {x: 0.25, y: 0.2, w: 0.5, h: 0.6},
+                {x: 0, y: 0, w: 0.25, h: 0.5},
+                {x: 0, y: 0.5, w: 0.25, h: 0.5},
+                {x: 0.75, y: 0, w: 0.25, h: 0.5},
+                {x: 0.75, y: 0.5, w: 0.25, h: 0.5}
+            ]},
+            {id: 'filmstrip', name: 'Filmstrip', slots: [0, 1, 2, 3, 4].map(i => ({
+                x: i / 5, y: 0.25, w: 1 / 5, h: 0.5
+            }))}
         ];
         
-        if (sizeSelect) {
-            sizes.forEach(size => {
-                const option = document.createElement('option');
-                option.value = `${size.width}x${size.height}`;
-                option.textContent = `${size.name} (${size.width}×${size.height})`;
-                sizeSelect.appendChild(option);
+        try {
+            this.userTemplates = JSON.parse(localStorage.getItem('wallpaperCreatorTemplates')) || [];
+        } catch (error) {
+            this.userTemplates = [];
+        }
+    }
+
+    saveUserTemplates() {
+        localStorage.setItem('wallpaperCreatorTemplates', JSON.stringify(this.userTemplates));
+    }
+
+    getSlotRect(slot, width = this.canvasWidth, height = this.canvasHeight) {
+        const margin = this.autoFitSettings.margin;
+        const inset = this.autoFitSettings.spacing / 2;
+        const innerWidth = width - 2 * margin;
+        const innerHeight = height - 2 * margin;
+        
+        // Each slot gives up half the spacing on every side, so neighbours sit one spacing apart
+        return {
+            x: margin + slot.x * innerWidth + inset,
+            y: margin + slot.y * innerHeight + inset,
+            width: Math.max(1, slot.w * innerWidth - inset * 2),
+            height: Math.max(1, slot.h * innerHeight - inset * 2)
+        };
+    }
+
+    // Greedy best match: cheapest (image, slot) pairs first, where cost is the
+    // log-ratio difference with a bonus for sharing an aspect ratio category
+    assignImagesToSlots(images, slotRects) {
+        const pairs = [];
+        images.forEach((image, imageIndex) => {
+            const imageRatio = this.calculateAspectRatio(image);
+            const imageCategory = this.categorizeByAspectRatio(image).group;
+        
+            slotRects.forEach((rect, slotIndex) => {
+                const slotCategory = this.categorizeByAspectRatio({originalWidth: rect.width, originalHeight: rect.height}).group;
+                const cost = Math.abs(Math.log(imageRatio / (rect.width / rect.height))) - (imageCategory === slotCategory ? 0.1 : 0);
+                pairs.push({imageIndex, slotIndex, cost});
             });
-            sizeSelect.value = '1920x1080';
+        });
+        pairs.sort((a, b) => a.cost - b.cost || a.slotIndex - b.slotIndex || a.imageIndex - b.imageIndex);
+        
+        const usedImages = new Set();
+        const usedSlots = new Set();
+        const assignments = [];
+        pairs.forEach(pair => {
+            if (usedImages.has(pair.imageIndex) || usedSlots.has(pair.slotIndex)) return;
+            usedImages.add(pair.imageIndex);
+            usedSlots.add(pair.slotIndex);
+            assignments.push({image: images[pair.imageIndex], rect: slotRects[pair.slotIndex], slotIndex: pair.slotIndex});
+        });
+        
+        return assignments.sort((a, b) => a.slotIndex - b.slotIndex);
+    }
+
+    getCurrentTemplate() {
+        if (!this.currentTemplateId) return null;
+        return [...this.layoutTemplates, ...this.userTemplates].find(t => t.id === this.currentTemplateId) || null;
+    }
+
+    computeTemplatePositions(template, images, size = { width: this.canvasWidth, height: this.canvasHeight }) {
+        const slotRects = template.slots.map(slot => this.getSlotRect(slot, size.width, size.height));
+        
+        return this.assignImagesToSlots(images, slotRects).map(({image, rect}) => {
+            if (this.autoFitSettings.cropToFill) {
+                return { imageData: image, ...rect, fit: 'crop' };
+            }
+        
+            // Contain within the slot so the image keeps its exact proportions
+            const scale = Math.min(rect.width / image.originalWidth, rect.height / image.originalHeight);
+            const width = image.originalWidth * scale;
+            const height = image.originalHeight * scale;
+            return {
+                imageData: image,
+                x: rect.x + (rect.width - width) / 2,
+                y: rect.y + (rect.height - height) / 2,
+                width,
+                height
+            };
+        });
+    }
+
+    showTemplatesModal() {
+        this.renderTemplatesGrid();
+        this.showModal('templatesModal');
+    }
+
+    renderTemplatesGrid() {
+        const grid = document.getElementById('templatesGrid');
+        if (!grid) return;
+        
+        grid.innerHTML = '';
+        [...this.layoutTemplates, ...this.userTemplates].forEach(template => {
+            const card = document.createElement('div');
+            card.className = 'template-card';
+        
+            // Preview the slots at the current canvas proportions
+            const preview = document.createElement('div');
+            preview.className = 'template-preview';
+            preview.style.aspectRatio = `${this.canvasWidth} / ${this.canvasHeight}`;
+            template.slots.forEach(slot => {
+                const slotElement = document.createElement('div');
+                slotElement.className = 'template-slot';
+                Object.assign(slotElement.style, {
+                    left: `${slot.x * 100}%`,
+                    top: `${slot.y * 100}%`,
+                    width: `${slot.w * 100}%`,
+                    height: `${slot.h * 100}%`
+                });
+                preview.appendChild(slotElement);
+            });
+        
+            const name = document.createElement('div');
+            name.className = 'template-name';
+            name.textContent = `${template.name} · ${template.slots.length}`;
+        
+            card.appendChild(preview);
+            card.appendChild(name);
+        
+            if (template.userDefined) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'project-action-btn template-delete-btn';
+                deleteBtn.innerHTML = '🗑';
+                deleteBtn.title = 'Delete template';
+                deleteBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.deleteUserTemplate(template.id);
+                };
+                card.appendChild(deleteBtn);
+            }
+        
+            card.addEventListener('click', () => this.applyTemplate(template));
+            grid.appendChild(card);
+        });
+    }
+
+    applyTemplate(template) {
+        if (this.selectedImages.size === 0) {
+            this.showToast('Please select images first', 'warning');
+            return;
         }
+        
+        const selectedImageData = this.images.filter(img => this.selectedImages.has(img.id));
+        const positions = this.computeTemplatePositions(template, selectedImageData);
+        this.applyPositionsToCanvas(positions, `Applied ${template.name} template`);
+        this.currentTemplateId = template.id;
+        this.hideModal('templatesModal');
+        
+        const skipped = selectedImageData.length - positions.length;
+        if (skipped > 0) {
+            this.showToast(`${template.name}: ${skipped} image(s) did not fit the ${template.slots.length} slots`, 'warning');
+        } else {
+            this.showToast(`Applied ${template.name} template - aspect ratios preserved`, 'success');
+        }
+    }
 
-        if (exportSizeSelect) {
-            sizes.forEach(size => {
+    saveCurrentAsTemplate() {
+        const margin = this.autoFitSettings.margin;
+        const inset = this.autoFitSettings.spacing / 2;
+        const innerWidth = this.canvasWidth - 2 * margin;
+        const innerHeight = this.canvasHeight - 2 * margin;
+        const imageElements = this.elements.filter(el => el.type === 'image' && el.visible !== false);
+        
+        if (imageElements.length === 0) {
+            this.showToast('Place some images on the canvas first', 'warning');
+            return;
+        }
+        
+        const name = prompt('Template name:', `My Template ${this.userTemplates.length + 1}`);
+        if (!name || !name.trim()) return;
+        
+        // Slots are the inverse of getSlotRect: each gets back the spacing inset it gives
+        // up on reapply, and rotated elements contribute their upright footprint
+        const round = value => Math.round(value * 10000) / 10000;
+        this.userTemplates.push({
+            id: `user-${Date.now()}`,
+            name: name.trim(),
+            userDefined: true,
+            slots: imageElements.map(el => {
+                const bounds = this.layoutEngine.getPositionsBounds([el]);
+                return {
+                    x: round((bounds.x - inset - margin) / innerWidth),
+                    y: round((bounds.y - inset - margin) / innerHeight),
+                    w: round((bounds.width + inset * 2) / innerWidth),
+                    h: round((bounds.height + inset * 2) / innerHeight)
+                };
+            })
+        });
+        this.saveUserTemplates();
+        this.renderTemplatesGrid();
+        this.showToast(`Saved template "${name.trim()}"`, 'success');
+    }
+
+    deleteUserTemplate(templateId) {
+        const template = this.userTemplates.find(t => t.id === templateId);
+        if (!template || !confirm(`Delete template "${template.name}"?`)) return;
+        
+        this.userTemplates = this.userTemplates.filter(t => t.id !== templateId);
+        this.saveUserTemplates();
+        this.renderTemplatesGrid();
+    }
+
+    // ===== CANVAS SIZE =====
+
+    setupCanvasSizeControls() {
+        const applyCustomSize = document.getElementById('applyCustomSizeBtn');
+        const saveSizePreset = document.getElementById('saveSizePresetBtn');
+        const deleteSizePreset = document.getElementById('deleteSizePresetBtn');
+        const customInputs = ['customWidthInput', 'customHeightInput'].map(id => document.getElementById(id));
+        
+        if (applyCustomSize) applyCustomSize.addEventListener('click', this.applyCustomCanvasSize.bind(this));
+        if (saveSizePreset) saveSizePreset.addEventListener('click', this.saveCanvasSizePreset.bind(this));
+        if (deleteSizePreset) deleteSizePreset.addEventListener('click', this.deleteCanvasSizePreset.bind(this));
+        customInputs.forEach(input => {
+            if (input) {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') this.applyCustomCanvasSize();
+                });
+            }
+        });
+    }
+
+    loadCanvasSizePresets() {
+        try {
+            this.userSizePresets = JSON.parse(localStorage.getItem('wallpaperCreatorSizePresets')) || [];
+        } catch (error) {
+            this.userSizePresets = [];
+        }
+        this.renderCanvasSizeOptions();
+    }
+
+    // Aspect ratio presets and user presets follow the wallpaper sizes in their own groups
+    renderCanvasSizeOptions() {
+        const sizeSelect = document.getElementById('canvasSizeSelect');
+        if (!sizeSelect) return;
+        
+        sizeSelect.querySelectorAll('optgroup').forEach(group => group.remove());
+        [
+            ['Aspect Ratios', this.aspectRatioPresets],
+            ['My Presets', this.userSizePresets]
+        ].forEach(([label, presets]) => {
+            if (presets.length === 0) return;
+        
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(size => {
                 const option = document.createElement('option');
                 option.value = `${size.width}x${size.height}`;
                 option.textContent = `${size.name} (${size.width}×${size.height})`;
-                exportSizeSelect.appendChild(option);
+                if (presets === this.userSizePresets) option.dataset.userPreset = 'true';
+                group.appendChild(option);
             });
+            sizeSelect.appendChild(group);
+        });
+        this.syncCanvasSizeSelect();
+    }
+
+    // Select the option matching the canvas, or Custom when none does
+    syncCanvasSizeSelect() {
+        const sizeSelect = document.getElementById('canvasSizeSelect');
+        if (!sizeSelect) return;
+        
+        const value = `${this.canvasWidth}x${this.canvasHeight}`;
+        const hasOption = Array.from(sizeSelect.options).some(option => option.value === value);
+        sizeSelect.value = hasOption ? value : 'custom';
+        this.updateCanvasSizeControls();
+    }
+
+    updateCanvasSizeControls() {
+        const sizeSelect = document.getElementById('canvasSizeSelect');
+        const customSizeGroup = document.getElementById('customSizeGroup');
+        const deleteSizePreset = document.getElementById('deleteSizePresetBtn');
+        if (!sizeSelect) return;
+        
+        const selectedOption = sizeSelect.options[sizeSelect.selectedIndex];
+        if (customSizeGroup) customSizeGroup.classList.toggle('hidden', sizeSelect.value !== 'custom');
+        if (deleteSizePreset) {
+            deleteSizePreset.classList.toggle('hidden', !(selectedOption && selectedOption.dataset.userPreset));
         }
+        
+        const widthInput = document.getElementById('customWidthInput');
+        const heightInput = document.getElementById('customHeightInput');
+        if (widthInput) widthInput.value = this.canvasWidth;
+        if (heightInput) heightInput.value = this.canvasHeight;
     }
 
-    loadGoogleFonts() {
-        this.availableFonts = [
-            "Roboto", "Open Sans", "Lato", "Montserrat", "Poppins",
-            "Source Sans Pro", "Raleway", "Ubuntu", "Nunito", "Playfair Display",
-            "Oswald", "Dancing Script", "Lobster", "Pacifico", "Comfortaa"
-        ];
+    async changeCanvasSize(e) {
+        const value = e.target.value;
+        this.updateCanvasSizeControls();
+        if (value === 'custom') return;
+        
+        const [width, height] = value.split('x').map(n => parseInt(n));
+        await this.resizeCanvas(width, height);
     }
 
-    setupModalEventListeners() {
-        // Basic modal setup - simplified for core functionality
-        const modals = ['exportModal', 'projectsModal', 'saveProjectModal', 'backgroundModal', 'templatesModal'];
+    readCustomCanvasSize() {
+        const widthInput = document.getElementById('customWidthInput');
+        const heightInput = document.getElementById('customHeightInput');
+        const width = parseInt(widthInput && widthInput.value);
+        const height = parseInt(heightInput && heightInput.value);
+        
+        if (!(width >= 100 && width <= 10000 && height >= 100 && height <= 10000)) {
+            this.showToast('Canvas width and height must be between 100 and 10000 px', 'warning');
+            return null;
+        }
+        return { width, height };
+    }
+
+    async applyCustomCanvasSize() {
+        const size = this.readCustomCanvasSize();
+        if (size) await this.resizeCanvas(size.width, size.height);
+    }
+
+    async saveCanvasSizePreset() {
+        const size = this.readCustomCanvasSize();
+        if (!size) return;
+        
+        const name = prompt('Preset name:', `Custom ${size.width}×${size.height}`);
+        if (!name || !name.trim()) return;
+        
+        this.userSizePresets = this.userSizePresets.filter(p => p.width !== size.width || p.height !== size.height);
+        this.userSizePresets.push({ name: name.trim(), ...size });
+        localStorage.setItem('wallpaperCreatorSizePresets', JSON.stringify(this.userSizePresets));
+        const resized = await this.resizeCanvas(size.width, size.height);
+        this.renderCanvasSizeOptions();
+        if (resized) this.showToast(`Saved preset "${name.trim()}"`, 'success');
+    }
+
+    deleteCanvasSizePreset() {
+        const sizeSelect = document.getElementById('canvasSizeSelect');
+        if (!sizeSelect) return;
         
-        modals.forEach(modalId => {
-            const closeBtn = document.getElementById(`close${modalId.charAt(0).toUpperCase() + modalId.slice(1, -5)}Modal`);
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => this.hideModal(modalId));
+        const [width, height] = sizeSelect.value.split('x').map(n => parseInt(n));
+        const preset = this.userSizePresets.find(p => p.width === width && p.height === height);
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+        
+        this.userSizePresets = this.userSizePresets.filter(p => p !== preset);
+        localStorage.setItem('wallpaperCreatorSizePresets', JSON.stringify(this.userSizePresets));
+        this.renderCanvasSizeOptions();
+    }
+
+    // Resolves to true once the canvas has the new size, false when the re-layout
+    // failed or was cancelled and the canvas was left as it was
+    async resizeCanvas(width, height) {
+        if (width === this.canvasWidth && height === this.canvasHeight) return true;
+        
+        const modeSelect = document.getElementById('resizeModeSelect');
+        const mode = modeSelect ? modeSelect.value : 'scale';
+        const selectedIds = this.selectedElements.map(el => el.id);
+        let relaidOut = false;
+        
+        // Element geometry is computed against the old size before switching
+        if (mode === 'scale') {
+            this.elements = this.rescaleElementsForSize(this.elements, width, height);
+        } else if (mode === 'relayout') {
+            // The overlay keeps the canvas from being edited while the worker runs,
+            // since its result replaces the elements
+            this.showLoadingOverlay(`Re-running layout for ${width}×${height}...`, () => this.cancelLayoutJobs());
+            try {
+                const result = await this.buildElementsForSize({ width, height });
+                this.elements = result.elements;
+                relaidOut = result.layout !== 'scaled';
+            } catch (error) {
+                this.showToast(error.cancelled ? 'Resize cancelled' : `Could not resize canvas: ${error.message}`,
+                    error.cancelled ? 'info' : 'error');
+                this.syncCanvasSizeSelect();
+                return false;
+            } finally {
+                this.hideLoadingOverlay();
             }
-        });
+        }
+        
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+        this.restoreSelection(selectedIds);
+        this.init();
+        this.fitToScreen();
+        this.syncCanvasSizeSelect();
+        this.render();
+        this.updatePropertiesPanel();
+        this.saveState(`Resized canvas to ${width}×${height}`);
+        
+        if (mode === 'relayout' && !relaidOut) {
+            this.showToast('No layout applied yet - elements were scaled proportionally', 'info');
+        } else {
+            this.showToast(`Canvas resized to ${width}×${height}`, 'success');
+        }
+        return true;
     }
 
-    showModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) modal.classList.remove('hidden');
+    // Stub methods for complete functionality
+    showExportModal() { this.showModal('exportModal'); }
+
+    // ===== SNAPPING & GUIDES =====
+
+    loadSnapSettings() {
+        const defaults = { enabled: true, showRulers: false, showGrid: false, gridSize: 50 };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('wallpaperCreatorSnapSettings')) };
+        } catch (error) {
+            return defaults;
+        }
     }
 
-    hideModal(modalId) {
-        const modal = document.getElementById(modalId);
-        if (modal) modal.classList.add('hidden');
+    saveSnapSettings() {
+        localStorage.setItem('wallpaperCreatorSnapSettings', JSON.stringify(this.snapSettings));
     }
 
-    showToast(message, type = 'info') {
-        const container = document.getElementById('toastContainer');
-        if (!container) return;
+    setupSnapControls() {
+        const settings = this.snapSettings;
+        [['snapToggle', 'enabled'], ['rulersToggle', 'showRulers'], ['gridToggle', 'showGrid']].forEach(([id, setting]) => {
+            const toggle = document.getElementById(id);
+            if (!toggle) return;
+            toggle.checked = settings[setting];
+            toggle.addEventListener('change', (e) => {
+                settings[setting] = e.target.checked;
+                this.saveSnapSettings();
+                this.render();
+            });
+        });
         
-        const toast = document.createElement('div');
-        toast.className = `toast toast--${type}`;
+        const gridSizeInput = document.getElementById('gridSizeInput');
+        if (gridSizeInput) {
+            gridSizeInput.value = settings.gridSize;
+            gridSizeInput.addEventListener('change', (e) => {
+                const size = parseInt(e.target.value);
+                if (size >= 5 && size <= 1000) {
+                    settings.gridSize = size;
+                    this.saveSnapSettings();
+                    this.render();
+                } else {
+                    e.target.value = settings.gridSize;
+                    this.showToast('Grid size must be between 5 and 1000 px', 'warning');
+                }
+            });
+        }
         
-        const icon = type === 'success' ? '✓' : type === 'error' ? '✕' : type === 'warning' ? '⚠' : 'ℹ';
+        // The rulers follow the canvas as the container scrolls or resizes
+        const container = document.getElementById('canvasContainer');
+        if (container) container.addEventListener('scroll', () => this.renderRulers());
+        window.addEventListener('resize', () => this.renderRulers());
+    }
+
+    // Lines a dragged selection can snap to: the canvas edges and centre, the layout
+    // margins and the edges and centres of every other visible element. Element
+    // targets remember their extent so guides can run between the two.
+    getSnapTargets(moving) {
+        const targets = { x: [], y: [] };
+        const margin = this.autoFitSettings.margin;
+        [[targets.x, this.canvasWidth], [targets.y, this.canvasHeight]].forEach(([lines, size]) => {
+            lines.push({ value: 0 }, { value: size / 2 }, { value: size });
+            if (margin > 0 && margin < size / 2) lines.push({ value: margin }, { value: size - margin });
+        });
         
-        toast.innerHTML = `
-            <div class="toast-icon">${icon}</div>
-            <div class="toast-content">
-                <div class="toast-message">${message}</div>
-            </div>
-            <button class="toast-close" onclick="this.parentElement.remove()">✕</button>
-        `;
+        this.elements.forEach(element => {
+            if (moving.includes(element) || element.visible === false) return;
+            const bounds = this.getSelectionBounds([element]);
+            [bounds.x, bounds.x + bounds.width / 2, bounds.x + bounds.width].forEach(value => {
+                targets.x.push({ value, from: bounds.y, to: bounds.y + bounds.height });
+            });
+            [bounds.y, bounds.y + bounds.height / 2, bounds.y + bounds.height].forEach(value => {
+                targets.y.push({ value, from: bounds.x, to: bounds.x + bounds.width });
+            });
+        });
+        return targets;
+    }
+
+    // Offsets that bring the box's nearest edge or centre onto a target on each axis,
+    // within a few screen pixels, and the pink guides showing what it lined up with.
+    // A visible grid adds its nearest lines to the targets.
+    snapBounds(bounds, targets) {
+        const threshold = 6 / this.zoom;
+        const gridSize = this.snapSettings.showGrid ? this.snapSettings.gridSize : 0;
+        const result = { dx: 0, dy: 0, guides: [] };
+        
+        [['x', 'width', 'dx'], ['y', 'height', 'dy']].forEach(([axis, size, offsetKey]) => {
+            const crossAxis = axis === 'x' ? 'y' : 'x';
+            const crossSize = axis === 'x' ? 'height' : 'width';
+            const sources = [bounds[axis], bounds[axis] + bounds[size] / 2, bounds[axis] + bounds[size]];
+            let best = null;
+        
+            sources.forEach(source => {
+                const candidates = gridSize
+                    ? [...targets[axis], { value: Math.round(source / gridSize) * gridSize, grid: true }]
+                    : targets[axis];
+                candidates.forEach(target => {
+                    const offset = target.value - source;
+                    if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                        best = { offset, target };
+                    }
+                });
+            });
+            if (!best) return;
+        
+            result[offsetKey] = best.offset;
+            if (best.target.grid) return;
+        
+            // One guide covers every target on the snapped line, from the moving box to the
+            // furthest of them; canvas and margin lines run the full canvas
+            const matches = targets[axis].filter(target => Math.abs(target.value - best.target.value) < 0.5);
+            const fullLength = axis === 'x' ? this.canvasHeight : this.canvasWidth;
+            const spansCanvas = matches.some(target => target.from === undefined);
+            result.guides.push({
+                axis,
+                value: best.target.value,
+                from: spansCanvas ? 0 : Math.min(bounds[crossAxis], ...matches.map(target => target.from)),
+                to: spansCanvas ? fullLength : Math.max(bounds[crossAxis] + bounds[crossSize], ...matches.map(target => target.to))
+            });
+        });
+        return result;
+    }
+
+    renderGuides() {
+        if (this.guides.length === 0) return;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#FF3EA5';
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.beginPath();
+        this.guides.forEach(guide => {
+            if (guide.axis === 'x') {
+                ctx.moveTo(guide.value, guide.from);
+                ctx.lineTo(guide.value, guide.to);
+            } else {
+                ctx.moveTo(guide.from, guide.value);
+                ctx.lineTo(guide.to, guide.value);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    renderGrid() {
+        const ctx = this.ctx;
+        const size = this.snapSettings.gridSize;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(128, 128, 128, 0.4)';
+        ctx.lineWidth = 1 / this.zoom;
+        ctx.beginPath();
+        for (let x = size; x < this.canvasWidth; x += size) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.canvasHeight);
+        }
+        for (let y = size; y < this.canvasHeight; y += size) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.canvasWidth, y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Rulers are drawn in screen pixels along the container edges, with the canvas
+    // origin wherever the canvas currently sits and the selection's extent shaded
+    renderRulers() {
+        const viewport = document.getElementById('canvasViewport');
+        if (!viewport) return;
+        viewport.classList.toggle('canvas-viewport--rulers', this.snapSettings.showRulers);
+        if (!this.snapSettings.showRulers) return;
+        
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const bounds = this.selectedElements.length > 0 ? this.getSelectionBounds() : null;
+        const ratio = window.devicePixelRatio || 1;
+        const step = [10, 20, 50, 100, 200, 500, 1000, 2000, 5000].find(s => s * this.zoom >= 60) || 10000;
+        const minor = step / 5;
+        
+        [['rulerTop', true], ['rulerLeft', false]].forEach(([id, horizontal]) => {
+            const ruler = document.getElementById(id);
+            if (!ruler) return;
+        
+            const rect = ruler.getBoundingClientRect();
+            const length = horizontal ? rect.width : rect.height;
+            const thickness = horizontal ? rect.height : rect.width;
+            const origin = horizontal ? canvasRect.left - rect.left : canvasRect.top - rect.top;
+            ruler.width = Math.round(rect.width * ratio);
+            ruler.height = Math.round(rect.height * ratio);
+        
+            const ctx = ruler.getContext('2d');
+            const color = getComputedStyle(ruler).color;
+            const line = (along, fromAcross, toAcross) => {
+                ctx.moveTo(...(horizontal ? [along, fromAcross] : [fromAcross, along]));
+                ctx.lineTo(...(horizontal ? [along, toAcross] : [toAcross, along]));
+            };
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
         
-        container.appendChild(toast);
+            if (bounds) {
+                const start = origin + bounds[horizontal ? 'x' : 'y'] * this.zoom;
+                const extent = bounds[horizontal ? 'width' : 'height'] * this.zoom;
+                ctx.fillStyle = 'rgba(31, 184, 205, 0.3)';
+                ctx.fillRect(...(horizontal ? [start, 0, extent, thickness] : [0, start, thickness, extent]));
+            }
         
-        setTimeout(() => {
-            if (toast.parentElement) {
-                toast.remove();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+            ctx.font = '10px sans-serif';
+            ctx.beginPath();
+            ctx.moveTo(...(horizontal ? [0, thickness - 0.5] : [thickness - 0.5, 0]));
+            ctx.lineTo(...(horizontal ? [length, thickness - 0.5] : [thickness - 0.5, length]));
+        
+            const first = Math.floor(-origin / this.zoom / minor);
+            const last = Math.ceil((length - origin) / this.zoom / minor);
+            for (let i = first; i <= last; i++) {
+                const value = i * minor;
+                const position = Math.round(origin + value * this.zoom) + 0.5;
+                const major = i % 5 === 0;
+                line(position, major ? 0 : thickness * 0.65, thickness);
+        
+                if (major) {
+                    ctx.save();
+                    ctx.translate(...(horizontal ? [position + 3, 9] : [9, position - 3]));
+                    if (!horizontal) ctx.rotate(-Math.PI / 2);
+                    ctx.fillText(String(value), 0, 0);
+                    ctx.restore();
+                }
             }
-        }, 5000);
+            ctx.stroke();
+        });
     }
 
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-color-scheme');
-        const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-        document.documentElement.setAttribute('data-color-scheme', newTheme);
-        localStorage.setItem('wallpaperCreatorTheme', newTheme);
-        this.showToast(`Switched to ${newTheme} theme`, 'success');
-    }
+    // ===== HISTORY =====
 
-    // Stub methods for complete functionality
-    changeCanvasSize() { /* Canvas size implementation */ }
-    addText() { /* Text addition implementation */ }
-    showBackgroundModal() { this.showModal('backgroundModal'); }
-    showTemplatesModal() { this.showModal('templatesModal'); }
-    showSaveProjectModal() { this.showModal('saveProjectModal'); }
-    showProjectsModal() { this.showModal('projectsModal'); }
-    showExportModal() { this.showModal('exportModal'); }
-    autoSave() { /* Auto-save implementation */ }
-    saveState() { 
-        // Basic state saving
+    saveState(label = 'Edit') {
         this.history = this.history.slice(0, this.historyIndex + 1);
         this.history.push({
-            elements: JSON.parse(JSON.stringify(this.elements)),
+            label,
+            timestamp: Date.now(),
+            elements: this.serializeElements(this.elements),
             canvasWidth: this.canvasWidth,
             canvasHeight: this.canvasHeight,
-            backgroundColor: this.backgroundColor
+            background: JSON.parse(JSON.stringify(this.background)),
+            selectedElementIds: this.selectedElements.map(el => el.id)
+        });
+        
+        // Keep memory bounded by dropping the oldest snapshots
+        if (this.history.length > this.maxHistory) {
+            this.history.splice(0, this.history.length - this.maxHistory);
+        }
+        this.historyIndex = this.history.length - 1;
+        this.hasUnsavedChanges = true;
+        this.updateHistoryPanel();
+    }
+
+    // Snapshots store only the imageId; the shared imageData (with its original
+    // blob and decoded proxy) is re-linked from this.images on restore
+    serializeElements(elements) {
+        return elements.map(({ imageData, ...element }) => JSON.parse(JSON.stringify(element)));
+    }
+
+    restoreElements(snapshot) {
+        return snapshot
+            .map(element => {
+                const restored = JSON.parse(JSON.stringify(element));
+                if (restored.type === 'image') {
+                    restored.imageData = this.images.find(img => img.id === restored.imageId);
+                }
+                return restored;
+            })
+            // Images removed from the library can no longer be drawn
+            .filter(element => element.type !== 'image' || element.imageData);
+    }
+
+    restoreState(index) {
+        const state = this.history[index];
+        if (!state) return;
+        
+        this.historyIndex = index;
+        this.hasUnsavedChanges = true;
+        this.elements = this.restoreElements(state.elements);
+        this.background = JSON.parse(JSON.stringify(state.background));
+        
+        if (state.canvasWidth !== this.canvasWidth || state.canvasHeight !== this.canvasHeight) {
+            this.canvasWidth = state.canvasWidth;
+            this.canvasHeight = state.canvasHeight;
+            this.init();
+            this.syncCanvasSizeSelect();
+        }
+        
+        this.restoreSelection(state.selectedElementIds);
+        this.render();
+        this.updatePropertiesPanel();
+        this.updateHistoryPanel();
+    }
+
+    undo() {
+        if (this.historyIndex <= 0) return;
+        const label = this.history[this.historyIndex].label;
+        this.restoreState(this.historyIndex - 1);
+        this.showToast(`Undo: ${label}`, 'info');
+    }
+
+    redo() {
+        if (this.historyIndex >= this.history.length - 1) return;
+        this.restoreState(this.historyIndex + 1);
+        this.showToast(`Redo: ${this.history[this.historyIndex].label}`, 'info');
+    }
+
+    updateHistoryPanel() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = this.historyIndex <= 0;
+        if (redoBtn) redoBtn.disabled = this.historyIndex >= this.history.length - 1;
+        
+        const historyList = document.getElementById('historyList');
+        if (!historyList) return;
+        
+        historyList.innerHTML = '';
+        this.history.forEach((state, index) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            if (index === this.historyIndex) item.classList.add('current');
+            if (index > this.historyIndex) item.classList.add('undone');
+            item.textContent = state.label;
+            item.title = new Date(state.timestamp).toLocaleTimeString();
+            item.addEventListener('click', () => this.restoreState(index));
+            historyList.appendChild(item);
         });
-        this.historyIndex++;
+        
+        const current = historyList.querySelector('.current');
+        if (current) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    handleKeyDown(e) {
+        // Leave typing in form fields alone
+        const target = e.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+            target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+        
+        // No shortcuts while a job runs behind the loading overlay; its result
+        // would overwrite whatever they changed
+        const loadingOverlay = document.getElementById('loadingOverlay');
+        if (loadingOverlay && !loadingOverlay.classList.contains('hidden')) return;
+        
+        const modifier = e.ctrlKey || e.metaKey;
+        const key = e.key.toLowerCase();
+        
+        if (modifier && key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if (modifier && ((key === 'z' && e.shiftKey) || key === 'y')) {
+            e.preventDefault();
+            this.redo();
+        } else if (modifier && key === 'g') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.ungroupSelectedElements();
+            } else {
+                this.groupSelectedElements();
+            }
+        } else if (modifier && key === 'a') {
+            e.preventDefault();
+            this.selectAllElements();
+        } else if (key === 'escape' && this.selectedElements.length > 0) {
+            this.setSelection([]);
+        }
     }
-    undo() { /* Undo implementation */ }
-    redo() { /* Redo implementation */ }
-    handleKeyDown(e) { /* Keyboard shortcuts */ }
 }
 
 // Initialize app
@@ -1425,4 +6037,7 @@ document.addEventListener('DOMContentLoaded', () => {
     setTimeout(() => {
         app.showToast('🛡️ Aspect ratio preservation is active - your images will never be distorted!', 'success');
     }, 1000);
+    
+    // Offer to recover the last auto-saved session
+    app.checkForAutoSave();
 });
\ No newline at end of file
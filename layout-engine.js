@@ -0,0 +1,1200 @@
+// Layout algorithms shared by the page (app.js) and layout-worker.js. They work on
+// plain {id, originalWidth, originalHeight} records so they can run inside a worker,
+// and the positions they return reference those same records.
+class LayoutEngine {
+    constructor({canvasWidth = 1920, canvasHeight = 1080, autoFitSettings = {}, aspectRatioCategories = [], onProgress = null} = {}) {
+        this.canvasWidth = canvasWidth;
+        this.canvasHeight = canvasHeight;
+        this.autoFitSettings = autoFitSettings;
+        this.aspectRatioCategories = aspectRatioCategories;
+        this.onProgress = onProgress;
+        this.lastFitReport = null;
+    }
+
+    // Progress is a fraction from 0 to 1 with a short status message
+    reportProgress(progress, message) {
+        if (this.onProgress) this.onProgress(Math.min(1, Math.max(0, progress)), message);
+    }
+
+    // ===== ASPECT RATIO HELPERS =====
+
+    calculateAspectRatio(image) {
+        return image.originalWidth / image.originalHeight;
+    }
+
+    categorizeByAspectRatio(image) {
+        const ratio = this.calculateAspectRatio(image);
+        
+        for (const category of this.aspectRatioCategories) {
+            if (Math.abs(ratio - category.ratio) <= category.tolerance) {
+                return category;
+            }
+        }
+        
+        // Default fallback
+        if (ratio > 1) return {name: "Landscape", group: "landscape"};
+        return {name: "Portrait", group: "portrait"};
+    }
+
+    groupImagesByAspectRatio(images) {
+        const groups = {};
+        
+        images.forEach(image => {
+            const category = this.categorizeByAspectRatio(image);
+            if (!groups[category.group]) {
+                groups[category.group] = [];
+            }
+            groups[category.group].push(image);
+        });
+        
+        return groups;
+    }
+
+    scaleImagePreservingRatio(originalImage, maxWidth, maxHeight) {
+        const aspectRatio = this.calculateAspectRatio(originalImage);
+        
+        let width = maxWidth;
+        let height = maxHeight;
+        
+        if (maxWidth / maxHeight > aspectRatio) {
+            // Constrain by height
+            width = maxHeight * aspectRatio;
+        } else {
+            // Constrain by width
+            height = maxWidth / aspectRatio;
+        }
+        
+        // Ensure minimum size
+        const minSize = this.autoFitSettings.minImageSize;
+        if (width < minSize || height < minSize) {
+            if (width < height) {
+                width = minSize;
+                height = minSize / aspectRatio;
+            } else {
+                height = minSize;
+                width = minSize * aspectRatio;
+            }
+        }
+        
+        return { width, height };
+    }
+
+    // ===== LAYOUT DISPATCH =====
+
+    // Every layout goes through the fitting pass so nothing spills off the canvas
+    computeLayoutPositions(layoutType, images) {
+        this.reportProgress(0, 'Arranging images...');
+        const positions = this.runLayoutAlgorithm(layoutType, images);
+        
+        this.reportProgress(0.9, 'Fitting the layout to the canvas...');
+        let fitted = this.fitPositionsToCanvas(positions);
+        
+        if (layoutType === 'organic') {
+            this.reportProgress(0.95, 'Checking overlaps...');
+            const limited = this.limitOrganicCoverage(fitted);
+            fitted = limited.positions;
+            this.lastFitReport = {
+                ...this.measureLayoutFit(fitted, this.lastFitReport.scale),
+                worstCovered: limited.worstCovered * 100
+            };
+        }
+        
+        this.reportProgress(1, 'Layout ready');
+        return fitted;
+    }
+
+    runLayoutAlgorithm(layoutType, images) {
+        // Apply the appropriate natural layout algorithm
+        switch (layoutType) {
+            case 'natural-flow':
+                return this.layoutWithStackDirection(images, imgs => this.applyNaturalFlowLayout(imgs));
+            case 'masonry':
+                return this.applyMasonryLayout(images);
+            case 'proportional-grid':
+                return this.applyProportionalGridLayout(images);
+            case 'aspect-grouped':
+                // Mixed stacking is applied within each group
+                return this.layoutWithStackDirection(images, imgs => this.applyAspectGroupedLayout(imgs), imgs => this.applyAspectGroupedLayout(imgs));
+            case 'organic':
+                return this.applyOrganicStackLayout(images);
+            case 'dense-pack':
+                return this.applyDensePackLayout(images);
+            case 'justified':
+                return this.layoutWithStackDirection(images, imgs => this.applyJustifiedRowsLayout(imgs));
+            default:
+                return this.applyNaturalFlowLayout(images);
+        }
+    }
+
+    // Layout algorithms read the canvas size from the instance, so other target
+    // sizes are laid out by swapping the dimensions for the duration of the call
+    withCanvasSize(width, height, callback) {
+        const previousWidth = this.canvasWidth;
+        const previousHeight = this.canvasHeight;
+        this.canvasWidth = width;
+        this.canvasHeight = height;
+        
+        try {
+            return callback();
+        } finally {
+            this.canvasWidth = previousWidth;
+            this.canvasHeight = previousHeight;
+        }
+    }
+
+    // ===== NATURAL LAYOUT ALGORITHMS =====
+
+    applyNaturalFlowLayout(images) {
+        const positions = [];
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        
+        let currentRowY = margin;
+        let currentRowX = margin;
+        let currentRowHeight = 0;
+        let rowImages = [];
+        
+        // Sort images by priority if enabled
+        const sortedImages = this.autoFitSettings.prioritizeLargeImages 
+            ? [...images].sort((a, b) => (b.originalWidth * b.originalHeight) - (a.originalWidth * a.originalHeight))
+            : images;
+        
+        for (let i = 0; i < sortedImages.length; i++) {
+            const image = sortedImages[i];
+            const aspectRatio = this.calculateAspectRatio(image);
+            
+            // Calculate natural size for this row
+            let imageWidth = Math.min(image.originalWidth, availableWidth * 0.3);
+            let imageHeight = imageWidth / aspectRatio;
+            
+            // Check if image fits in current row
+            if (currentRowX + imageWidth > availableWidth + margin && rowImages.length > 0) {
+                // Finalize current row with balanced sizing
+                this.finalizeNaturalRow(rowImages, currentRowY, availableWidth, positions);
+                
+                // Start new row
+                currentRowY += currentRowHeight + spacing;
+                currentRowX = margin;
+                currentRowHeight = 0;
+                rowImages = [];
+            }
+            
+            // Add image to current row
+            rowImages.push({
+                image,
+                aspectRatio,
+                naturalWidth: imageWidth,
+                naturalHeight: imageHeight,
+                x: currentRowX,
+                y: currentRowY
+            });
+            
+            currentRowX += imageWidth + spacing;
+            currentRowHeight = Math.max(currentRowHeight, imageHeight);
+        }
+        
+        // Finalize last row
+        if (rowImages.length > 0) {
+            this.finalizeNaturalRow(rowImages, currentRowY, availableWidth, positions);
+        }
+        
+        return positions;
+    }
+
+    finalizeNaturalRow(rowImages, rowY, availableWidth, positions) {
+        if (rowImages.length === 0) return;
+        
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        
+        // Calculate total natural width
+        const totalNaturalWidth = rowImages.reduce((sum, item) => sum + item.naturalWidth, 0);
+        const totalSpacing = (rowImages.length - 1) * spacing;
+        const availableImageWidth = availableWidth - totalSpacing;
+        
+        // Scale factor to fit row
+        const scaleFactor = Math.min(1, availableImageWidth / totalNaturalWidth);
+        
+        // Ensure we don't scale down too much
+        const maxScaleDown = this.autoFitSettings.maxScaleDown;
+        const finalScaleFactor = Math.max(maxScaleDown, scaleFactor);
+        
+        let currentX = margin;
+        
+        rowImages.forEach(item => {
+            // Enforce the minimum size on the shorter side, scaling both sides together
+            const scaledWidth = item.naturalWidth * finalScaleFactor;
+            const scaledHeight = item.naturalHeight * finalScaleFactor;
+            const minSizeScale = Math.max(1, this.autoFitSettings.minImageSize / Math.min(scaledWidth, scaledHeight));
+            const finalWidth = scaledWidth * minSizeScale;
+            const finalHeight = scaledHeight * minSizeScale;
+        
+            positions.push({
+                imageData: item.image,
+                x: currentX,
+                y: rowY,
+                width: finalWidth,
+                height: finalHeight
+            });
+            
+            currentX += finalWidth + spacing;
+        });
+    }
+
+    // Rows always span the full available width; the row breaks are chosen by
+    // dynamic programming so the stacked row heights land as close as possible
+    // to the available height
+    applyJustifiedRowsLayout(images) {
+        if (images.length === 0) return [];
+        
+        const positions = [];
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        
+        const sortedImages = this.autoFitSettings.prioritizeLargeImages 
+            ? [...images].sort((a, b) => (b.originalWidth * b.originalHeight) - (a.originalWidth * a.originalHeight))
+            : images;
+        
+        // Prefix sums of aspect ratios give any row's justified height in O(1)
+        const ratioSums = [0];
+        sortedImages.forEach(image => ratioSums.push(ratioSums[ratioSums.length - 1] + this.calculateAspectRatio(image)));
+        const rowHeight = (start, end) => (availableWidth - (end - start - 1) * spacing) / (ratioSums[end] - ratioSums[start]);
+        
+        // Rows of height h hold about availableWidth / h worth of aspect ratio,
+        // so roughly sqrt(totalRatio * H / W) rows fill the height
+        const count = sortedImages.length;
+        const estimatedRows = Math.round(Math.sqrt(ratioSums[count] * availableHeight / availableWidth));
+        const minRows = Math.max(1, estimatedRows - 2);
+        const maxRows = Math.min(count, Math.max(1, estimatedRows + 2));
+        
+        // Nudging the target row height around its ideal value explores other
+        // break patterns whose combined height may land closer to the canvas
+        let best = null;
+        for (let rowCount = minRows; rowCount <= maxRows; rowCount++) {
+            this.reportProgress(0.9 * (rowCount - minRows) / (maxRows - minRows + 1), 'Choosing row breaks...');
+            const idealHeight = (availableHeight - (rowCount - 1) * spacing) / rowCount;
+        
+            for (let nudge = 0.7; nudge <= 1.3; nudge += 0.05) {
+                const breaks = this.findJustifiedRowBreaks(count, rowCount, idealHeight * nudge, rowHeight);
+                if (!breaks) continue;
+        
+                const heights = breaks.map((end, row) => rowHeight(row === 0 ? 0 : breaks[row - 1], end));
+                const totalHeight = heights.reduce((sum, h) => sum + h, 0) + (rowCount - 1) * spacing;
+                const error = Math.abs(totalHeight - availableHeight);
+                if (!best || error < best.error) best = { breaks, heights, error };
+            }
+        }
+        if (!best) return this.applyNaturalFlowLayout(images);
+        
+        // Overshoot is absorbed by scaling every row uniformly, which keeps the
+        // rows equal in width but narrows them slightly
+        const rowCount = best.breaks.length;
+        const gaps = (rowCount - 1) * spacing;
+        const imageHeight = best.heights.reduce((sum, h) => sum + h, 0);
+        const scale = Math.min(1, (availableHeight - gaps) / imageHeight);
+        const leftover = availableHeight - gaps - imageHeight * scale;
+        
+        // Any remaining height is spread between the rows when filling the canvas
+        const fillRows = this.autoFitSettings.fillCanvas && rowCount > 1;
+        const rowGap = fillRows ? spacing + leftover / (rowCount - 1) : spacing;
+        let currentY = margin + (fillRows ? 0 : leftover / 2);
+        
+        best.breaks.forEach((end, row) => {
+            const start = row === 0 ? 0 : best.breaks[row - 1];
+            const height = best.heights[row] * scale;
+            const rowWidth = (availableWidth - (end - start - 1) * spacing) * scale + (end - start - 1) * spacing;
+            let currentX = margin + (availableWidth - rowWidth) / 2;
+        
+            for (let i = start; i < end; i++) {
+                const image = sortedImages[i];
+                const width = height * this.calculateAspectRatio(image);
+                positions.push({
+                    imageData: image,
+                    x: currentX,
+                    y: currentY,
+                    width: width,
+                    height: height
+                });
+                currentX += width + spacing;
+            }
+        
+            currentY += height + rowGap;
+        });
+        
+        return positions;
+    }
+
+    // Minimum squared deviation from the target row height over all ways of
+    // splitting the images into exactly rowCount consecutive rows
+    findJustifiedRowBreaks(count, rowCount, targetHeight, rowHeight) {
+        const costs = [new Array(count + 1).fill(Infinity)];
+        const previous = [new Array(count + 1).fill(-1)];
+        costs[0][0] = 0;
+        
+        for (let row = 1; row <= rowCount; row++) {
+            costs[row] = new Array(count + 1).fill(Infinity);
+            previous[row] = new Array(count + 1).fill(-1);
+        
+            for (let end = row; end <= count - (rowCount - row); end++) {
+                for (let start = row - 1; start < end; start++) {
+                    if (costs[row - 1][start] === Infinity) continue;
+        
+                    const height = rowHeight(start, end);
+                    if (height <= 0) continue;
+        
+                    const cost = costs[row - 1][start] + Math.pow(height - targetHeight, 2);
+                    if (cost < costs[row][end]) {
+                        costs[row][end] = cost;
+                        previous[row][end] = start;
+                    }
+                }
+            }
+        }
+        
+        if (costs[rowCount][count] === Infinity) return null;
+        
+        const breaks = [];
+        for (let row = rowCount, end = count; row > 0; end = previous[row][end], row--) {
+            breaks.unshift(end);
+        }
+        return breaks;
+    }
+
+    applyMasonryLayout(images) {
+        const positions = [];
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        
+        // Calculate number of columns based on image count and canvas width
+        const columnCount = Math.max(2, Math.min(5, Math.ceil(Math.sqrt(images.length))));
+        const columnWidth = (availableWidth - (columnCount - 1) * spacing) / columnCount;
+        
+        // Initialize column heights
+        const columnHeights = new Array(columnCount).fill(margin);
+        
+        // Sort images by area if prioritizing large images
+        const sortedImages = this.autoFitSettings.prioritizeLargeImages 
+            ? [...images].sort((a, b) => (b.originalWidth * b.originalHeight) - (a.originalWidth * a.originalHeight))
+            : images;
+        
+        sortedImages.forEach(image => {
+            // Find shortest column
+            let shortestColumn = 0;
+            let shortestHeight = columnHeights[0];
+            
+            for (let i = 1; i < columnCount; i++) {
+                if (columnHeights[i] < shortestHeight) {
+                    shortestHeight = columnHeights[i];
+                    shortestColumn = i;
+                }
+            }
+            
+            // Calculate image dimensions preserving aspect ratio
+            const scaledDimensions = this.scaleImagePreservingRatio(image, columnWidth, columnWidth * 2);
+            
+            const x = margin + shortestColumn * (columnWidth + spacing);
+            const y = columnHeights[shortestColumn];
+            
+            positions.push({
+                imageData: image,
+                x: x,
+                y: y,
+                width: scaledDimensions.width,
+                height: scaledDimensions.height
+            });
+            
+            // Update column height
+            columnHeights[shortestColumn] += scaledDimensions.height + spacing;
+        });
+        
+        return positions;
+    }
+
+    applyProportionalGridLayout(images) {
+        const positions = [];
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        
+        // Calculate optimal grid dimensions
+        const imageCount = images.length;
+        const cols = Math.ceil(Math.sqrt(imageCount));
+        const rows = Math.ceil(imageCount / cols);
+        
+        // Create adaptive grid cells
+        const baseGridWidth = (availableWidth - (cols - 1) * spacing) / cols;
+        const baseGridHeight = (availableHeight - (rows - 1) * spacing) / rows;
+        
+        for (let i = 0; i < images.length; i++) {
+            const image = images[i];
+            const row = Math.floor(i / cols);
+            const col = i % cols;
+            
+            // Calculate grid position
+            const gridX = margin + col * (baseGridWidth + spacing);
+            const gridY = margin + row * (baseGridHeight + spacing);
+            
+            // Crop to fill takes the whole cell and shows an undistorted window of the image
+            if (this.autoFitSettings.cropToFill) {
+                positions.push({
+                    imageData: image,
+                    x: gridX,
+                    y: gridY,
+                    width: baseGridWidth,
+                    height: baseGridHeight,
+                    fit: 'crop'
+                });
+                continue;
+            }
+        
+            // Scale image to fit grid cell while preserving aspect ratio
+            const scaledDimensions = this.scaleImagePreservingRatio(image, baseGridWidth, baseGridHeight);
+            
+            // Center image in grid cell
+            const x = gridX + (baseGridWidth - scaledDimensions.width) / 2;
+            const y = gridY + (baseGridHeight - scaledDimensions.height) / 2;
+            
+            positions.push({
+                imageData: image,
+                x: x,
+                y: y,
+                width: scaledDimensions.width,
+                height: scaledDimensions.height
+            });
+        }
+        
+        return positions;
+    }
+
+    // Every image gets the same area (or an area proportional to its pixel count
+    // when prioritising large images) times one shared factor. The largest factor
+    // that still packs is found by bisection, so no image is ever distorted.
+    applyDensePackLayout(images) {
+        if (images.length === 0) return [];
+        
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        
+        const largestArea = Math.max(...images.map(image => image.originalWidth * image.originalHeight));
+        const items = images.map(image => {
+            const aspectRatio = this.calculateAspectRatio(image);
+            const area = this.autoFitSettings.prioritizeLargeImages
+                ? image.originalWidth * image.originalHeight / largestArea
+                : 1;
+            return {
+                image,
+                baseWidth: Math.sqrt(area * aspectRatio),
+                baseHeight: Math.sqrt(area / aspectRatio)
+            };
+        });
+        
+        // Packing order matters, so a few fixed orders are tried and the one that
+        // allows the largest scale wins; ids break ties so the result is repeatable
+        const orders = [
+            (a, b) => b.baseHeight - a.baseHeight,
+            (a, b) => b.baseWidth - a.baseWidth,
+            (a, b) => Math.max(b.baseWidth, b.baseHeight) - Math.max(a.baseWidth, a.baseHeight),
+            (a, b) => (b.baseWidth + b.baseHeight) - (a.baseWidth + a.baseHeight)
+        ];
+        const totalBaseArea = items.reduce((sum, item) => sum + item.baseWidth * item.baseHeight, 0);
+        
+        let best = null;
+        orders.forEach((order, orderIndex) => {
+            this.reportProgress(0.9 * orderIndex / orders.length, 'Packing images...');
+            const ordered = [...items].sort((a, b) => order(a, b) || a.image.id - b.image.id);
+        
+            // Each rectangle carries its spacing on the right and bottom, so the bin gets one extra spacing
+            const pack = scale => this.packRectangles(
+                ordered.map(item => ({ width: item.baseWidth * scale + spacing, height: item.baseHeight * scale + spacing })),
+                availableWidth + spacing,
+                availableHeight + spacing
+            );
+        
+            let low = best ? best.scale : 0;
+            let high = Math.sqrt(availableWidth * availableHeight / totalBaseArea);
+            for (let i = 0; i < 20; i++) {
+                const scale = (low + high) / 2;
+                const placements = pack(scale);
+                if (placements) {
+                    low = scale;
+                    best = { scale, placements, ordered };
+                } else {
+                    high = scale;
+                }
+            }
+        });
+        if (!best) return this.applyProportionalGridLayout(images);
+        
+        return best.ordered.map((item, index) => ({
+            imageData: item.image,
+            x: margin + best.placements[index].x,
+            y: margin + best.placements[index].y,
+            width: item.baseWidth * best.scale,
+            height: item.baseHeight * best.scale
+        }));
+    }
+
+    // MaxRects bin packing with the best-short-side-fit rule. Returns the top-left
+    // corner of every rectangle in order, or null when they do not all fit.
+    packRectangles(rects, binWidth, binHeight) {
+        let freeRects = [{ x: 0, y: 0, width: binWidth, height: binHeight }];
+        const placements = [];
+        
+        for (const rect of rects) {
+            let target = null;
+            let bestShort = Infinity;
+            let bestLong = Infinity;
+        
+            freeRects.forEach(free => {
+                if (rect.width > free.width || rect.height > free.height) return;
+        
+                const leftoverX = free.width - rect.width;
+                const leftoverY = free.height - rect.height;
+                const shortSide = Math.min(leftoverX, leftoverY);
+                const longSide = Math.max(leftoverX, leftoverY);
+                if (shortSide < bestShort || (shortSide === bestShort && longSide < bestLong)) {
+                    target = free;
+                    bestShort = shortSide;
+                    bestLong = longSide;
+                }
+            });
+            if (!target) return null;
+        
+            const placed = { x: target.x, y: target.y, width: rect.width, height: rect.height };
+            placements.push({ x: placed.x, y: placed.y });
+        
+            // Split every free rectangle the placement overlaps into up to four remainders
+            const nextFree = [];
+            freeRects.forEach(free => {
+                if (placed.x >= free.x + free.width || placed.x + placed.width <= free.x ||
+                    placed.y >= free.y + free.height || placed.y + placed.height <= free.y) {
+                    nextFree.push(free);
+                    return;
+                }
+                if (placed.x > free.x) {
+                    nextFree.push({ x: free.x, y: free.y, width: placed.x - free.x, height: free.height });
+                }
+                if (placed.x + placed.width < free.x + free.width) {
+                    nextFree.push({ x: placed.x + placed.width, y: free.y, width: free.x + free.width - placed.x - placed.width, height: free.height });
+                }
+                if (placed.y > free.y) {
+                    nextFree.push({ x: free.x, y: free.y, width: free.width, height: placed.y - free.y });
+                }
+                if (placed.y + placed.height < free.y + free.height) {
+                    nextFree.push({ x: free.x, y: placed.y + placed.height, width: free.width, height: free.y + free.height - placed.y - placed.height });
+                }
+            });
+        
+            // Drop free rectangles wholly contained in another one
+            freeRects = nextFree.filter((free, i) => !nextFree.some((other, j) => i !== j &&
+                free.x >= other.x && free.y >= other.y &&
+                free.x + free.width <= other.x + other.width &&
+                free.y + free.height <= other.y + other.height &&
+                (j < i || free.width !== other.width || free.height !== other.height || free.x !== other.x || free.y !== other.y)));
+        }
+        
+        return placements;
+    }
+
+    applyAspectGroupedLayout(images) {
+        const positions = [];
+        const groups = this.groupImagesByAspectRatio(images);
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        
+        let currentY = margin;
+        
+        // Process each aspect ratio group
+        Object.keys(groups).forEach(groupName => {
+            const groupImages = groups[groupName];
+            
+            // Apply natural flow layout to each group
+            const groupPositions = this.autoFitSettings.stackDirection === 'mixed'
+                ? this.applyMixedStackLayout(groupImages)
+                : this.applyNaturalFlowLayout(groupImages);
+            
+            // Offset positions for this group
+            const minY = Math.min(...groupPositions.map(pos => pos.y));
+            const maxY = Math.max(...groupPositions.map(pos => pos.y + pos.height));
+            const groupHeight = maxY - minY;
+            
+            groupPositions.forEach(pos => {
+                positions.push({
+                    ...pos,
+                    y: pos.y - minY + currentY
+                });
+            });
+            
+            currentY += groupHeight + spacing * 2; // Extra spacing between groups
+        });
+        
+        return positions;
+    }
+
+    // Scattered photo pile. Every random choice comes from a generator seeded by
+    // autoFitSettings.organicSeed, so the same seed always gives the same collage.
+    applyOrganicStackLayout(images) {
+        if (images.length === 0) return [];
+        
+        const settings = this.autoFitSettings;
+        const random = this.createSeededRandom(settings.organicSeed);
+        const margin = settings.margin;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        
+        // Shuffle with the seeded generator so reshuffling also changes the stacking order
+        const shuffled = [...images];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        
+        // Loose grid of anchor cells; images are sized beyond their cell by the overlap amount
+        const cols = Math.max(1, Math.round(Math.sqrt(images.length * availableWidth / availableHeight)));
+        const rows = Math.ceil(images.length / cols);
+        const cellWidth = availableWidth / cols;
+        const cellHeight = availableHeight / rows;
+        const maxCovered = settings.maxCoveredPercent / 100;
+        
+        const positions = [];
+        const coverage = [];
+        shuffled.forEach((image, index) => {
+            this.reportProgress(0.9 * index / shuffled.length, 'Scattering photos...');
+            const col = index % cols;
+            const row = Math.floor(index / cols);
+            const centerX = margin + (col + 0.5) * cellWidth;
+            const centerY = margin + (row + 0.5) * cellHeight;
+        
+            // Each retry shrinks the image and its wander; the least covering attempt is kept
+            // and limitOrganicCoverage enforces the limit once the pile has been fitted
+            let best = null;
+            for (let attempt = 0; attempt < 12; attempt++) {
+                const damping = Math.pow(0.85, attempt);
+                const grow = 1 + settings.overlapAmount * damping;
+                const scale = Math.min(cellWidth / image.originalWidth, cellHeight / image.originalHeight) * grow * 0.9;
+                const width = image.originalWidth * scale;
+                const height = image.originalHeight * scale;
+                const wander = settings.overlapAmount * damping;
+        
+                const candidate = this.decorateOrganicPosition({
+                    imageData: image,
+                    x: centerX - width / 2 + (random() - 0.5) * cellWidth * wander,
+                    y: centerY - height / 2 + (random() - 0.5) * cellHeight * wander,
+                    width: width,
+                    height: height,
+                    rotation: (random() * 2 - 1) * settings.rotationJitter
+                });
+        
+                const entry = this.createCoverageEntry(candidate);
+                const worstCovered = coverage.reduce((worst, below) =>
+                    Math.max(worst, this.getHiddenFraction(this.coverEntry(below, entry))), 0);
+                if (!best || worstCovered < best.worstCovered) best = { entry, worstCovered };
+                if (worstCovered <= maxCovered) break;
+            }
+        
+            coverage.forEach(below => { below.hidden = this.coverEntry(below, best.entry); });
+            coverage.push(best.entry);
+            positions.push(best.entry.pos);
+        });
+        
+        return positions;
+    }
+
+    // Fitting and balancing move the pile after it is scattered, so the limit is checked
+    // again on the final footprints. Photos lying on one that is too covered shrink about
+    // their centres until it is met, which keeps every footprint inside the old one.
+    limitOrganicCoverage(positions) {
+        const maxCovered = this.autoFitSettings.maxCoveredPercent / 100;
+        let result = positions;
+        let worstCovered = 0;
+        
+        for (let pass = 0; pass < 100 && result.length > 1; pass++) {
+            const entries = this.getCoverageEntries(result);
+            const fractions = entries.map(entry => this.getHiddenFraction(entry.hidden));
+            worstCovered = Math.max(...fractions);
+            if (worstCovered <= maxCovered) break;
+        
+            const overexposed = entries.filter((entry, index) => fractions[index] > maxCovered);
+            result = result.map((pos, index) => overexposed.some(below =>
+                entries.indexOf(below) < index && below.samples.some(point => this.isPointInFootprint(point, pos))
+            ) ? this.scalePositionInPlace(pos, 0.9) : pos);
+        }
+        
+        // Still above the limit only if the pass budget ran out
+        if (worstCovered > maxCovered) {
+            worstCovered = Math.max(...this.getCoverageEntries(result).map(entry => this.getHiddenFraction(entry.hidden)));
+        }
+        return { positions: result, worstCovered };
+    }
+
+    scalePositionInPlace(pos, scale) {
+        const width = pos.width * scale;
+        const height = pos.height * scale;
+        return {
+            ...pos,
+            ...this.scaleElementDetails(pos, scale),
+            x: pos.x + (pos.width - width) / 2,
+            y: pos.y + (pos.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    // Polaroid frames and shadows are sized from the photo so they scale with it
+    decorateOrganicPosition(pos) {
+        const shortSide = Math.min(pos.width, pos.height);
+        const decorated = { ...pos };
+        
+        if (this.autoFitSettings.polaroidFrames) {
+            decorated.frame = {
+                color: '#ffffff',
+                width: Math.max(2, shortSide * 0.04),
+                bottom: Math.max(6, shortSide * 0.16)
+            };
+        }
+        if (this.autoFitSettings.dropShadows) {
+            decorated.shadow = {
+                offsetX: shortSide * 0.015,
+                offsetY: shortSide * 0.025,
+                blur: shortSide * 0.05,
+                color: 'rgba(0, 0, 0, 0.35)'
+            };
+        }
+        return decorated;
+    }
+
+    // Small deterministic PRNG (mulberry32) so seeded layouts can be reproduced
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ===== OVERLAP COVERAGE =====
+
+    // Coverage is estimated from a grid of points over each photo, turned with it,
+    // and tested against the rotated photo-plus-frame footprints stacked above
+    createCoverageEntry(pos) {
+        const steps = 12;
+        const angle = (pos.rotation || 0) * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const centerX = pos.x + pos.width / 2;
+        const centerY = pos.y + pos.height / 2;
+        
+        const samples = [];
+        for (let row = 0; row < steps; row++) {
+            for (let col = 0; col < steps; col++) {
+                const localX = ((col + 0.5) / steps - 0.5) * pos.width;
+                const localY = ((row + 0.5) / steps - 0.5) * pos.height;
+                samples.push({ x: centerX + localX * cos - localY * sin, y: centerY + localX * sin + localY * cos });
+            }
+        }
+        return { pos, bounds: this.getPositionsBounds([pos]), samples, hidden: samples.map(() => false) };
+    }
+
+    // Hidden flags of an entry once another entry's footprint is laid on top of it
+    coverEntry(entry, above) {
+        const a = entry.bounds;
+        const b = above.bounds;
+        if (a.x > b.x + b.width || b.x > a.x + a.width || a.y > b.y + b.height || b.y > a.y + a.height) {
+            return entry.hidden;
+        }
+        return entry.hidden.map((hidden, i) => hidden || this.isPointInFootprint(entry.samples[i], above.pos));
+    }
+
+    // Entries in stacking order, each covered by everything after it
+    getCoverageEntries(positions) {
+        const entries = [];
+        positions.forEach(pos => {
+            const entry = this.createCoverageEntry(pos);
+            entries.forEach(below => { below.hidden = this.coverEntry(below, entry); });
+            entries.push(entry);
+        });
+        return entries;
+    }
+
+    getHiddenFraction(hidden) {
+        return hidden.filter(Boolean).length / hidden.length;
+    }
+
+    isPointInFootprint(point, pos) {
+        const angle = -(pos.rotation || 0) * Math.PI / 180;
+        const dx = point.x - (pos.x + pos.width / 2);
+        const dy = point.y - (pos.y + pos.height / 2);
+        const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+        const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+        const side = pos.frame ? pos.frame.width : 0;
+        const bottom = pos.frame ? pos.frame.bottom : 0;
+        return Math.abs(localX) <= pos.width / 2 + side &&
+            localY >= -pos.height / 2 - side && localY <= pos.height / 2 + bottom;
+    }
+
+    // ===== STACK DIRECTION =====
+
+    // Runs a row-first layout in the direction chosen by the Stack Direction
+    // setting. Auto tries rows and columns and keeps whichever covers more of
+    // the canvas once fitted.
+    layoutWithStackDirection(images, rowLayout, mixedLayout = imgs => this.applyMixedStackLayout(imgs)) {
+        switch (this.autoFitSettings.stackDirection) {
+            case 'horizontal':
+                return rowLayout(images);
+            case 'vertical':
+                return this.transposeLayout(images, rowLayout);
+            case 'mixed':
+                return mixedLayout(images);
+            default: {
+                const rows = rowLayout(images);
+                const columns = this.transposeLayout(images, rowLayout);
+                return this.getFitCoverage(columns) > this.getFitCoverage(rows) ? columns : rows;
+            }
+        }
+    }
+
+    // Column-first packing is row-first packing on a transposed canvas: swap
+    // every width and height going in, and swap them back coming out
+    transposeLayout(images, rowLayout) {
+        const transposed = images.map(image => ({
+            ...image,
+            originalWidth: image.originalHeight,
+            originalHeight: image.originalWidth,
+            source: image
+        }));
+        const positions = this.withCanvasSize(this.canvasHeight, this.canvasWidth, () => rowLayout(transposed));
+        
+        return positions.map(pos => ({
+            ...pos,
+            imageData: pos.imageData.source,
+            x: pos.y,
+            y: pos.x,
+            width: pos.height,
+            height: pos.width
+        }));
+    }
+
+    // Alternates full-width horizontal strips with bands of two-image vertical stacks
+    applyMixedStackLayout(images) {
+        const positions = [];
+        const margin = this.autoFitSettings.margin;
+        const spacing = this.autoFitSettings.spacing;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const perBand = Math.max(2, Math.round(Math.sqrt(images.length)));
+        
+        let currentY = margin;
+        let previousHeight = Infinity;
+        let vertical = false;
+        
+        for (let index = 0; index < images.length; vertical = !vertical) {
+            const perStack = vertical ? 2 : 1;
+            const bandImages = images.slice(index, index + perBand * perStack);
+            index += bandImages.length;
+        
+            const stacks = [];
+            for (let i = 0; i < bandImages.length; i += perStack) {
+                stacks.push(bandImages.slice(i, i + perStack));
+            }
+        
+            // A short final band is not stretched beyond the band above it
+            const isLast = index >= images.length;
+            const bandHeight = this.placeMixedBand(stacks, currentY, availableWidth, isLast ? previousHeight : Infinity, positions);
+            currentY += bandHeight + spacing;
+            previousHeight = bandHeight;
+        }
+        
+        return positions;
+    }
+
+    // A stack of width w is w * sum(1 / ratio) tall plus its inner spacing, so
+    // the band height at which all stacks exactly span the width has a closed form
+    placeMixedBand(stacks, bandY, availableWidth, maxHeight, positions) {
+        const spacing = this.autoFitSettings.spacing;
+        const inverseRatios = stacks.map(stack => stack.reduce((sum, image) => sum + 1 / this.calculateAspectRatio(image), 0));
+        const widthPerHeight = inverseRatios.reduce((sum, r) => sum + 1 / r, 0);
+        const innerSpacing = stacks.reduce((sum, stack, i) => sum + (stack.length - 1) * spacing / inverseRatios[i], 0);
+        const bandHeight = Math.min(maxHeight, (availableWidth - (stacks.length - 1) * spacing + innerSpacing) / widthPerHeight);
+        
+        let currentX = this.autoFitSettings.margin;
+        stacks.forEach((stack, i) => {
+            const width = (bandHeight - (stack.length - 1) * spacing) / inverseRatios[i];
+            let currentY = bandY;
+        
+            stack.forEach(image => {
+                const height = width / this.calculateAspectRatio(image);
+                positions.push({
+                    imageData: image,
+                    x: currentX,
+                    y: currentY,
+                    width: width,
+                    height: height
+                });
+                currentY += height + spacing;
+            });
+        
+            currentX += width + spacing;
+        });
+        
+        return bandHeight;
+    }
+
+    // ===== CANVAS FITTING =====
+
+    // Scales the whole arrangement by the largest factor that keeps it inside
+    // the margins. One factor for every position and size preserves both the
+    // aspect ratios and the spacing relationships the layout produced.
+    fitPositionsToCanvas(positions) {
+        const margin = this.autoFitSettings.margin;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        
+        if (positions.length === 0) {
+            this.lastFitReport = this.measureLayoutFit(positions, 1);
+            return positions;
+        }
+        
+        const bounds = this.getPositionsBounds(positions);
+        const scale = Math.min(availableWidth / bounds.width, availableHeight / bounds.height);
+        const fittedWidth = bounds.width * scale;
+        const fittedHeight = bounds.height * scale;
+        
+        // Balanced compositions are centred; otherwise the arrangement stays where
+        // the layout put it unless it would cross a margin
+        const balance = this.autoFitSettings.balanceComposition;
+        const left = balance
+            ? margin + (availableWidth - fittedWidth) / 2
+            : Math.min(Math.max(bounds.x, margin), margin + availableWidth - fittedWidth);
+        const top = balance
+            ? margin + (availableHeight - fittedHeight) / 2
+            : Math.min(Math.max(bounds.y, margin), margin + availableHeight - fittedHeight);
+        
+        let fitted = positions.map(pos => ({
+            ...pos,
+            ...this.scaleElementDetails(pos, scale),
+            x: left + (pos.x - bounds.x) * scale,
+            y: top + (pos.y - bounds.y) * scale,
+            width: pos.width * scale,
+            height: pos.height * scale
+        }));
+        
+        if (balance) fitted = this.balanceComposition(fitted);
+        
+        this.lastFitReport = this.measureLayoutFit(fitted, scale);
+        return fitted;
+    }
+
+    // Size-dependent element properties beyond the bounding box
+    scaleElementDetails(element, scale) {
+        const details = {};
+        if (element.filters && element.filters.blur) {
+            details.filters = { ...element.filters, blur: element.filters.blur * scale };
+        }
+        if (element.frame) {
+            details.frame = {
+                ...element.frame,
+                width: element.frame.width * scale,
+                bottom: element.frame.bottom * scale
+            };
+        }
+        if (element.shadow) {
+            details.shadow = {
+                ...element.shadow,
+                offsetX: element.shadow.offsetX * scale,
+                offsetY: element.shadow.offsetY * scale,
+                blur: element.shadow.blur * scale
+            };
+        }
+        if (element.style) {
+            details.style = { ...element.style };
+            ['radius', 'borderWidth', 'padding'].forEach(key => {
+                if (element.style[key]) details.style[key] = element.style[key] * scale;
+            });
+        }
+        if (element.type === 'text') {
+            details.fontSize = element.fontSize * scale;
+            details.letterSpacing = element.letterSpacing * scale;
+            details.strokeWidth = element.strokeWidth * scale;
+        }
+        return details;
+    }
+
+    // Frames count towards the footprint, and rotated positions contribute the
+    // box around their rotated corners
+    getPositionsBounds(positions) {
+        const extents = positions.map(pos => {
+            const frameSide = pos.frame ? pos.frame.width : 0;
+            const frameBottom = pos.frame ? pos.frame.bottom : 0;
+            const width = pos.width + frameSide * 2;
+            const height = pos.height + frameSide + frameBottom;
+            const angle = (pos.rotation || 0) * Math.PI / 180;
+            const halfWidth = (Math.abs(Math.cos(angle)) * width + Math.abs(Math.sin(angle)) * height) / 2;
+            const halfHeight = (Math.abs(Math.sin(angle)) * width + Math.abs(Math.cos(angle)) * height) / 2;
+        
+            // The frame's centre sits below the photo's by half the extra bottom band, turned with the photo
+            const drop = (frameBottom - frameSide) / 2;
+            const centerX = pos.x + pos.width / 2 - Math.sin(angle) * drop;
+            const centerY = pos.y + pos.height / 2 + Math.cos(angle) * drop;
+            return { minX: centerX - halfWidth, minY: centerY - halfHeight, maxX: centerX + halfWidth, maxY: centerY + halfHeight };
+        });
+        const minX = Math.min(...extents.map(e => e.minX));
+        const minY = Math.min(...extents.map(e => e.minY));
+        const maxX = Math.max(...extents.map(e => e.maxX));
+        const maxY = Math.max(...extents.map(e => e.maxY));
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    // Coverage and wasted area are measured against the area inside the margins
+    measureLayoutFit(positions, scale) {
+        const margin = this.autoFitSettings.margin;
+        const usableArea = (this.canvasWidth - 2 * margin) * (this.canvasHeight - 2 * margin);
+        const coveredArea = Math.min(usableArea, this.getCoveredArea(positions));
+        const minSize = this.autoFitSettings.minImageSize;
+        
+        return {
+            scale,
+            coverage: usableArea > 0 ? coveredArea / usableArea * 100 : 0,
+            wastedArea: usableArea - coveredArea,
+            undersized: positions.filter(pos => Math.min(pos.width, pos.height) < minSize).length
+        };
+    }
+
+    // Union area of the rectangles, so overlapping images are only counted once.
+    // Sweeps the vertical strips between consecutive edges and merges the
+    // vertical intervals covered in each strip.
+    getCoveredArea(rects) {
+        const edges = [...new Set(rects.flatMap(rect => [rect.x, rect.x + rect.width]))].sort((a, b) => a - b);
+        let area = 0;
+        
+        for (let i = 0; i < edges.length - 1; i++) {
+            const left = edges[i];
+            const right = edges[i + 1];
+            const intervals = rects
+                .filter(rect => rect.x <= left && rect.x + rect.width >= right)
+                .map(rect => [rect.y, rect.y + rect.height])
+                .sort((a, b) => a[0] - b[0]);
+        
+            let covered = 0;
+            let currentStart = null;
+            let currentEnd = null;
+            intervals.forEach(([start, end]) => {
+                if (currentEnd === null || start > currentEnd) {
+                    if (currentEnd !== null) covered += currentEnd - currentStart;
+                    currentStart = start;
+                    currentEnd = end;
+                } else {
+                    currentEnd = Math.max(currentEnd, end);
+                }
+            });
+            if (currentEnd !== null) covered += currentEnd - currentStart;
+        
+            area += covered * (right - left);
+        }
+        
+        return area;
+    }
+
+    // Share of the usable area the arrangement would cover after fitting
+    getFitCoverage(positions) {
+        if (positions.length === 0) return 0;
+        
+        const margin = this.autoFitSettings.margin;
+        const availableWidth = this.canvasWidth - 2 * margin;
+        const availableHeight = this.canvasHeight - 2 * margin;
+        const bounds = this.getPositionsBounds(positions);
+        const scale = Math.min(availableWidth / bounds.width, availableHeight / bounds.height);
+        return this.getCoveredArea(positions) * scale * scale / (availableWidth * availableHeight);
+    }
+
+    // ===== COMPOSITION BALANCE =====
+
+    // Darker images read as heavier, so they count for more per pixel of area.
+    // Luminance is sampled by the page and sent along with each record.
+    getVisualDensity(imageData) {
+        const luminance = typeof imageData.luminance === 'number' ? imageData.luminance : 0.5;
+        return 1.5 - luminance;
+    }
+
+    // Area of the rectangle falling in each canvas quadrant: TL, TR, BL, BR
+    getQuadrantOverlaps(rect) {
+        const centerX = this.canvasWidth / 2;
+        const centerY = this.canvasHeight / 2;
+        const overlap = (start, size, from, to) => Math.max(0, Math.min(to, start + size) - Math.max(from, start));
+        const columns = [overlap(rect.x, rect.width, -Infinity, centerX), overlap(rect.x, rect.width, centerX, Infinity)];
+        const rows = [overlap(rect.y, rect.height, -Infinity, centerY), overlap(rect.y, rect.height, centerY, Infinity)];
+        return [rows[0] * columns[0], rows[0] * columns[1], rows[1] * columns[0], rows[1] * columns[1]];
+    }
+
+    getCompositionImbalance(weights) {
+        const mean = weights.reduce((sum, w) => sum + w, 0) / weights.length;
+        return weights.reduce((sum, w) => sum + Math.abs(w - mean), 0);
+    }
+
+    getQuadrantWeights(positions) {
+        const weights = [0, 0, 0, 0];
+        positions.forEach(pos => {
+            const density = this.getVisualDensity(pos.imageData);
+            this.getQuadrantOverlaps(pos).forEach((area, q) => weights[q] += density * area);
+        });
+        return weights;
+    }
+
+    // Evens out visual weight across the quadrants without disturbing the layout:
+    // the arrangement may be mirrored, and images whose slots have the same
+    // footprint may trade places
+    balanceComposition(positions) {
+        if (positions.length < 2) return positions;
+        
+        const bounds = this.getPositionsBounds(positions);
+        const variants = [[false, false], [true, false], [false, true], [true, true]].map(([flipX, flipY]) => positions.map(pos => ({
+            ...pos,
+            x: flipX ? 2 * bounds.x + bounds.width - pos.x - pos.width : pos.x,
+            y: flipY ? 2 * bounds.y + bounds.height - pos.y - pos.height : pos.y
+        })));
+        
+        let best = variants[0];
+        let weights = this.getQuadrantWeights(best);
+        variants.slice(1).forEach(variant => {
+            const variantWeights = this.getQuadrantWeights(variant);
+            if (this.getCompositionImbalance(variantWeights) < this.getCompositionImbalance(weights)) {
+                best = variant;
+                weights = variantWeights;
+            }
+        });
+        
+        // Only slots of identical size can swap images, so every ratio is kept
+        const overlaps = best.map(pos => this.getQuadrantOverlaps(pos));
+        const slotGroups = {};
+        best.forEach((pos, index) => {
+            const key = `${Math.round(pos.width)}x${Math.round(pos.height)}`;
+            (slotGroups[key] = slotGroups[key] || []).push(index);
+        });
+        
+        Object.values(slotGroups).forEach(group => {
+            for (let a = 0; a < group.length; a++) {
+                for (let b = a + 1; b < group.length; b++) {
+                    const i = group[a];
+                    const j = group[b];
+                    const change = this.getVisualDensity(best[j].imageData) - this.getVisualDensity(best[i].imageData);
+                    const swapped = weights.map((w, q) => w + change * (overlaps[i][q] - overlaps[j][q]));
+        
+                    if (this.getCompositionImbalance(swapped) < this.getCompositionImbalance(weights) - 1e-6) {
+                        [best[i].imageData, best[j].imageData] = [best[j].imageData, best[i].imageData];
+                        weights = swapped;
+                    }
+                }
+            }
+        });
+        
+        return best;
+    }
+}
@@ -0,0 +1,28 @@
+// Runs LayoutEngine off the main thread so large layouts do not freeze the page.
+// Messages: {jobId, layoutType, images, canvasWidth, canvasHeight, autoFitSettings, aspectRatioCategories}
+importScripts('layout-engine.js');
+
+self.onmessage = (e) => {
+    const { jobId, layoutType, images, ...options } = e.data;
+    let lastProgress = -1;
+
+    // Only post meaningful steps; a message per image would flood the page
+    const onProgress = (progress, message) => {
+        if (progress < 1 && progress - lastProgress < 0.02) return;
+        lastProgress = progress;
+        self.postMessage({ jobId, type: 'progress', progress, message });
+    };
+
+    try {
+        const engine = new LayoutEngine({ ...options, onProgress });
+        const positions = engine.computeLayoutPositions(layoutType, images);
+        self.postMessage({
+            jobId,
+            type: 'result',
+            positions: positions.map(({ imageData, ...pos }) => ({ ...pos, id: imageData.id })),
+            report: engine.lastFitReport
+        });
+    } catch (error) {
+        self.postMessage({ jobId, type: 'error', message: error.message });
+    }
+};